@@ -0,0 +1,70 @@
+// Shared by the Node scripts: load Kokoro from local files only, through the same
+// browser build of transformers.js the app uses.
+import { readFile, access } from "node:fs/promises";
+import path from "node:path";
+import { pathToFileURL } from "node:url";
+
+import { env } from "../src/transformers.min.js";
+import { KokoroTTS } from "../src/kokoro.js";
+import { setVoiceFileLoader } from "../src/voices.js";
+
+// Precisions the Kokoro ONNX repo ships weights for
+export const DTYPES = ["fp32", "fp16", "q8", "q4", "q4f16"];
+
+/**
+ * Load Kokoro from a local model folder on CPU. Nothing is downloaded.
+ * @param {Object} options
+ * @param {string} options.modelDir Local copy of onnx-community/Kokoro-82M-v1.0-ONNX
+ * @param {string} [options.voicesDir] Folder with voice .bin files (default: <modelDir>/voices)
+ * @param {"fp32"|"fp16"|"q8"|"q4"|"q4f16"} [options.dtype="q8"]
+ * @param {string} [options.wasmDir] Local onnxruntime-web dist folder
+ * @returns {Promise<KokoroTTS>}
+ */
+export async function loadLocalKokoro({ modelDir, voicesDir, dtype = "q8", wasmDir }) {
+  modelDir = path.resolve(modelDir);
+  voicesDir = path.resolve(voicesDir ?? path.join(modelDir, "voices"));
+  if (!(await exists(path.join(modelDir, "config.json")))) {
+    throw new Error(`No Kokoro model found in ${modelDir} (config.json is missing)`);
+  }
+
+  env.allowRemoteModels = false;
+  env.allowLocalModels = true;
+  env.useBrowserCache = false;
+  env.localModelPath = "/";
+
+  // The browser build cannot read files itself, so serve them through its custom cache hook
+  env.useCustomCache = true;
+  env.customCache = {
+    async match(key) {
+      if (/^https?:/.test(key)) return undefined;
+      const file = path.resolve(key);
+      if (!(await exists(file))) return undefined;
+      return new Response(await readFile(file));
+    },
+    async put() {},
+  };
+
+  if (wasmDir) {
+    env.backends.onnx.wasm.wasmPaths = pathToFileURL(path.resolve(wasmDir) + path.sep).href;
+  }
+
+  setVoiceFileLoader(async (id) => {
+    const file = path.join(voicesDir, `${id}.bin`);
+    if (!(await exists(file))) {
+      throw new Error(`Voice file not found: ${file}`);
+    }
+    const data = await readFile(file);
+    return data.buffer.slice(data.byteOffset, data.byteOffset + data.byteLength);
+  });
+
+  return KokoroTTS.from_pretrained(modelDir, { dtype, device: "wasm" });
+}
+
+export async function exists(file) {
+  try {
+    await access(file);
+    return true;
+  } catch {
+    return false;
+  }
+}
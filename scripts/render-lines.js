@@ -0,0 +1,229 @@
+#!/usr/bin/env node
+// Pre-render dialogue lines to WAV files with the same Kokoro pipeline the browser uses,
+// on CPU and from local model files only.
+//
+//   node scripts/render-lines.js lines.csv --model ./my_model --out ./renders
+//
+// Scripts can be plain text (one line each), JSON (an array of strings or
+// { id, text, voice, speed } objects) or CSV with a header row naming those columns.
+import { readFile, writeFile, mkdir } from "node:fs/promises";
+import path from "node:path";
+import { parseArgs } from "node:util";
+
+import { MAX_PHONEME_TOKENS, SAMPLE_RATE } from "../src/kokoro.js";
+import { VOICES, isVoiceBlend, parseVoiceBlend } from "../src/voices.js";
+import { isSSML, parseSSML } from "../src/ssml.js";
+import { buildSpeechChunks } from "../src/speech-chunks.js";
+import { concatAudio, encodeWav } from "../src/audio-export.js";
+import { DTYPES, loadLocalKokoro } from "./local-kokoro.js";
+
+const USAGE = `Usage: node scripts/render-lines.js <script.txt|.json|.csv> --model <dir> [options]
+
+Options:
+  --model <dir>      Local Kokoro ONNX model folder (config.json, tokenizer.json, onnx/)
+  --voices <dir>     Folder with voice .bin files (default: <model>/voices)
+  --out <dir>        Output folder (default: ./renders)
+  --voice <id>       Voice or blend for lines that do not set one (default: af_nicole)
+  --speed <n>        Speed for lines that do not set one (default: 1)
+  --dtype <type>     fp32, fp16, q8, q4 or q4f16 (default: q8)
+  --wasm-dir <dir>   Local onnxruntime-web dist folder, to avoid fetching the WASM runtime
+  --help             Show this message`;
+
+const { values: options, positionals } = parseArgs({
+  allowPositionals: true,
+  options: {
+    model: { type: "string" },
+    voices: { type: "string" },
+    out: { type: "string", default: "renders" },
+    voice: { type: "string", default: "af_nicole" },
+    speed: { type: "string", default: "1" },
+    dtype: { type: "string", default: "q8" },
+    "wasm-dir": { type: "string" },
+    help: { type: "boolean", default: false },
+  },
+});
+
+if (options.help || positionals.length !== 1 || !options.model) {
+  console.log(USAGE);
+  process.exit(options.help ? 0 : 1);
+}
+
+if (!DTYPES.includes(options.dtype)) {
+  console.error(`Unsupported --dtype "${options.dtype}"; use one of: ${DTYPES.join(", ")}\n`);
+  console.log(USAGE);
+  process.exit(1);
+}
+
+const scriptPath = path.resolve(positionals[0]);
+const outDir = path.resolve(options.out);
+
+try {
+  await main();
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+async function main() {
+  const lines = parseScript(await readFile(scriptPath, "utf8"), path.extname(scriptPath).toLowerCase());
+  if (lines.length === 0) {
+    throw new Error(`No lines found in ${scriptPath}`);
+  }
+  // Check every voice up front, so a typo does not stop the batch halfway through
+  for (const line of lines) {
+    validateVoice(line.voice, line.id);
+    // SSML <voice name="..."> switches voices mid-line
+    if (isSSML(line.text)) {
+      for (const segment of parseSSML(line.text, { voice: line.voice })) {
+        if (segment.type === "text" && segment.voice !== line.voice) validateVoice(segment.voice, line.id);
+      }
+    }
+  }
+
+  console.log(`Loading Kokoro (${options.dtype}) from ${path.resolve(options.model)}...`);
+  const tts = await loadLocalKokoro({
+    modelDir: options.model,
+    voicesDir: options.voices,
+    dtype: options.dtype,
+    wasmDir: options["wasm-dir"],
+  });
+
+  await mkdir(outDir, { recursive: true });
+  const manifest = [];
+  for (const [i, line] of lines.entries()) {
+    const started = Date.now();
+    const samples = await renderLine(tts, line);
+    const file = `${String(i + 1).padStart(3, "0")}-${slugify(line.id)}.wav`;
+
+    const wav = encodeWav(samples, SAMPLE_RATE, {
+      text: line.text,
+      voice: line.voice,
+      speed: line.speed,
+      software: "vtubergame render-lines",
+    });
+    await writeFile(path.join(outDir, file), Buffer.from(await wav.arrayBuffer()));
+
+    const duration = samples.length / SAMPLE_RATE;
+    manifest.push({ id: line.id, file, text: line.text, voice: line.voice, speed: line.speed, duration });
+    console.log(
+      `[${i + 1}/${lines.length}] ${file} (${duration.toFixed(2)}s audio in ${((Date.now() - started) / 1000).toFixed(1)}s)`
+    );
+  }
+
+  await writeFile(path.join(outDir, "manifest.json"), JSON.stringify(manifest, null, 2));
+  console.log(`Wrote ${manifest.length} files and manifest.json to ${outDir}`);
+}
+
+async function renderLine(tts, line) {
+  const parts = [];
+  const chunks = await buildSpeechChunks(line.text, {
+    voice: line.voice,
+    speed: line.speed,
+    maxTokens: MAX_PHONEME_TOKENS,
+    countTokens: (text, voice) => tts.count_tokens(text, { voice }),
+  });
+  for (const chunk of chunks) {
+    if (chunk.type === "break") {
+      parts.push(new Float32Array(Math.round(chunk.duration * SAMPLE_RATE)));
+      continue;
+    }
+    if (!chunk.text) continue;
+    const audio = await tts.generate(chunk.text, { voice: chunk.voice, speed: chunk.speed });
+    parts.push(audio.audio);
+  }
+  return concatAudio(parts);
+}
+
+/**
+ * @returns {{id: string, text: string, voice: string, speed: number}[]}
+ */
+// Blends such as af_bella:0.6,bm_george:0.4 are checked component by component
+function validateVoice(voice, lineId) {
+  if (isVoiceBlend(voice)) {
+    try {
+      parseVoiceBlend(voice);
+    } catch (error) {
+      throw new Error(`Line "${lineId}": ${error.message}`);
+    }
+  } else if (!VOICES.hasOwnProperty(voice)) {
+    throw new Error(`Line "${lineId}" uses unknown voice "${voice}"`);
+  }
+}
+
+function parseScript(content, extension) {
+  let rows;
+  if (extension === ".json") {
+    rows = JSON.parse(content).map((row) => (typeof row === "string" ? { text: row } : row));
+  } else if (extension === ".csv") {
+    const [header = [], ...records] = parseCSV(content);
+    const columns = header.map((name) => name.trim().toLowerCase());
+    rows = records.map((record) => Object.fromEntries(columns.map((name, i) => [name, record[i]])));
+  } else {
+    rows = content.split(/\r?\n/).map((text) => ({ text }));
+  }
+
+  return rows
+    .filter((row) => row.text?.trim())
+    .map((row, i) => {
+      const speed = Number(row.speed || options.speed);
+      if (!Number.isFinite(speed) || speed <= 0) {
+        throw new Error(`Line ${i + 1} has an invalid speed "${row.speed}"`);
+      }
+      return {
+        id: String(row.id || i + 1),
+        text: row.text.trim(),
+        voice: row.voice?.trim() || options.voice,
+        speed,
+      };
+    });
+}
+
+// RFC 4180 CSV: quoted fields may contain commas, newlines and doubled quotes
+function parseCSV(content) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < content.length; i++) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && content[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records.filter((r) => r.some((value) => value.trim()));
+}
+
+function slugify(text) {
+  return (
+    text
+      .toLowerCase()
+      .replace(/[^a-z0-9]+/g, "-")
+      .replace(/^-+|-+$/g, "")
+      .slice(0, 40) || "line"
+  );
+}
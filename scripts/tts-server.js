@@ -0,0 +1,252 @@
+#!/usr/bin/env node
+// Local, offline TTS server with an OpenAI-compatible speech endpoint, so other tools
+// (bots, overlays) can use the app's Kokoro voices without opening the browser.
+//
+//   node scripts/tts-server.js --model ./my_model --port 8880
+//
+//   POST /v1/audio/speech  { input, voice, speed, response_format: "wav" | "pcm" }
+//   GET  /v1/voices
+import http from "node:http";
+import { parseArgs } from "node:util";
+
+import { MAX_PHONEME_TOKENS, SAMPLE_RATE } from "../src/kokoro.js";
+import { VOICES, isVoiceBlend, parseVoiceBlend } from "../src/voices.js";
+import { buildSpeechChunks } from "../src/speech-chunks.js";
+import { isSSML, parseSSML } from "../src/ssml.js";
+import { concatAudio, encodeWav } from "../src/audio-export.js";
+import { DTYPES, loadLocalKokoro } from "./local-kokoro.js";
+
+const USAGE = `Usage: node scripts/tts-server.js --model <dir> [options]
+
+Options:
+  --model <dir>      Local Kokoro ONNX model folder (config.json, tokenizer.json, onnx/)
+  --voices <dir>     Folder with voice .bin files (default: <model>/voices)
+  --dtype <type>     fp32, fp16, q8, q4 or q4f16 (default: q8)
+  --wasm-dir <dir>   Local onnxruntime-web dist folder, to avoid fetching the WASM runtime
+  --host <host>      Interface to listen on (default: 127.0.0.1)
+  --port <port>      Port to listen on (default: 8880)
+  --help             Show this message`;
+
+const DEFAULT_VOICE = "af_nicole";
+const MAX_INPUT_LENGTH = 4096; // Same limit as OpenAI's endpoint
+const MAX_BODY_BYTES = 1024 * 1024;
+const MIN_SPEED = 0.25;
+const MAX_SPEED = 4;
+
+const RESPONSE_FORMATS = {
+  wav: "audio/wav",
+  pcm: "audio/pcm", // Raw 16-bit little-endian mono at 24 kHz, like OpenAI's pcm
+};
+
+// Raised for bad requests; reported in OpenAI's error shape
+class RequestError extends Error {
+  constructor(message, { status = 400, param = null } = {}) {
+    super(message);
+    this.status = status;
+    this.param = param;
+  }
+}
+
+const { values: options } = parseArgs({
+  options: {
+    model: { type: "string" },
+    voices: { type: "string" },
+    dtype: { type: "string", default: "q8" },
+    "wasm-dir": { type: "string" },
+    host: { type: "string", default: "127.0.0.1" },
+    port: { type: "string", default: "8880" },
+    help: { type: "boolean", default: false },
+  },
+});
+
+if (options.help || !options.model) {
+  console.log(USAGE);
+  process.exit(options.help ? 0 : 1);
+}
+
+if (!DTYPES.includes(options.dtype)) {
+  console.error(`Unsupported --dtype "${options.dtype}"; use one of: ${DTYPES.join(", ")}\n`);
+  console.log(USAGE);
+  process.exit(1);
+}
+
+let tts;
+try {
+  console.log(`Loading Kokoro (${options.dtype})...`);
+  tts = await loadLocalKokoro({
+    modelDir: options.model,
+    voicesDir: options.voices,
+    dtype: options.dtype,
+    wasmDir: options["wasm-dir"],
+  });
+} catch (error) {
+  console.error(`Error: ${error.message}`);
+  process.exit(1);
+}
+
+// One inference at a time; the ONNX session is not re-entrant
+let queue = Promise.resolve();
+function enqueue(task) {
+  const result = queue.then(task);
+  queue = result.catch(() => {});
+  return result;
+}
+
+const server = http.createServer(async (req, res) => {
+  // Browser tools such as stream overlays call us cross-origin
+  res.setHeader("Access-Control-Allow-Origin", "*");
+  res.setHeader("Access-Control-Allow-Headers", "Content-Type, Authorization");
+  res.setHeader("Access-Control-Allow-Methods", "GET, POST, OPTIONS");
+
+  const { pathname } = new URL(req.url, "http://localhost");
+  try {
+    if (req.method === "OPTIONS") {
+      res.writeHead(204).end();
+    } else if (req.method === "GET" && pathname === "/v1/voices") {
+      sendJSON(res, 200, listVoices());
+    } else if (req.method === "POST" && pathname === "/v1/audio/speech") {
+      await handleSpeech(req, res);
+    } else {
+      throw new RequestError(`Unknown route: ${req.method} ${pathname}`, { status: 404 });
+    }
+  } catch (error) {
+    const status = error instanceof RequestError ? error.status : 500;
+    if (status === 500) console.error("Speech generation failed:", error);
+    sendJSON(res, status, {
+      error: {
+        message: error.message,
+        type: status === 500 ? "server_error" : "invalid_request_error",
+        param: error.param ?? null,
+        code: null,
+      },
+    });
+  }
+});
+
+server.listen(Number(options.port), options.host, () => {
+  console.log(`Kokoro TTS server listening on http://${options.host}:${options.port}`);
+});
+
+function listVoices() {
+  return {
+    object: "list",
+    data: Object.entries(VOICES).map(([id, voice]) => ({
+      id,
+      name: voice.name,
+      language: voice.language,
+      gender: voice.gender,
+      grade: voice.overallGrade,
+    })),
+  };
+}
+
+async function handleSpeech(req, res) {
+  const body = await readJSON(req);
+
+  const input = typeof body.input === "string" ? body.input.trim() : "";
+  if (!input) throw new RequestError("`input` must be a non-empty string", { param: "input" });
+  if (input.length > MAX_INPUT_LENGTH) {
+    throw new RequestError(`\`input\` is longer than ${MAX_INPUT_LENGTH} characters`, { param: "input" });
+  }
+
+  const voice = body.voice ?? DEFAULT_VOICE;
+  validateVoice(voice);
+  // SSML <voice name="..."> switches voices mid-input; reject unknown ones before generating
+  if (isSSML(input)) {
+    for (const segment of parseSSML(input, { voice })) {
+      if (segment.type === "text" && segment.voice !== voice) validateVoice(segment.voice);
+    }
+  }
+
+  const speed = body.speed ?? 1;
+  if (typeof speed !== "number" || speed < MIN_SPEED || speed > MAX_SPEED) {
+    throw new RequestError(`\`speed\` must be a number from ${MIN_SPEED} to ${MAX_SPEED}`, { param: "speed" });
+  }
+
+  const format = body.response_format ?? "wav";
+  if (!RESPONSE_FORMATS[format]) {
+    throw new RequestError(
+      `Unsupported response_format "${format}"; use one of: ${Object.keys(RESPONSE_FORMATS).join(", ")}`,
+      { param: "response_format" }
+    );
+  }
+
+  const started = Date.now();
+  const samples = await enqueue(() => generate(input, voice, speed));
+  console.log(
+    `Generated ${(samples.length / SAMPLE_RATE).toFixed(2)}s with ${voice} in ${((Date.now() - started) / 1000).toFixed(1)}s`
+  );
+
+  const audio =
+    format === "pcm"
+      ? toPCM16(samples)
+      : Buffer.from(await encodeWav(samples, SAMPLE_RATE, { text: input, voice, speed }).arrayBuffer());
+  res.writeHead(200, { "Content-Type": RESPONSE_FORMATS[format], "Content-Length": audio.length });
+  res.end(audio);
+}
+
+function validateVoice(voice) {
+  if (typeof voice !== "string") {
+    throw new RequestError("`voice` must be a string", { param: "voice" });
+  }
+  try {
+    if (isVoiceBlend(voice)) {
+      parseVoiceBlend(voice);
+    } else if (!VOICES.hasOwnProperty(voice)) {
+      throw new Error(`Voice "${voice}" not found. GET /v1/voices lists the available voices.`);
+    }
+  } catch (error) {
+    throw new RequestError(error.message, { param: "voice" });
+  }
+}
+
+async function generate(text, voice, speed) {
+  const parts = [];
+  const chunks = await buildSpeechChunks(text, {
+    voice,
+    speed,
+    maxTokens: MAX_PHONEME_TOKENS,
+    countTokens: (chunk, chunkVoice) => tts.count_tokens(chunk, { voice: chunkVoice }),
+  });
+  for (const chunk of chunks) {
+    if (chunk.type === "break") {
+      parts.push(new Float32Array(Math.round(chunk.duration * SAMPLE_RATE)));
+      continue;
+    }
+    if (!chunk.text) continue;
+    const audio = await tts.generate(chunk.text, { voice: chunk.voice, speed: chunk.speed });
+    parts.push(audio.audio);
+  }
+  return concatAudio(parts);
+}
+
+function toPCM16(samples) {
+  const buffer = Buffer.alloc(samples.length * 2);
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    buffer.writeInt16LE(Math.round(sample * 0x7fff), i * 2);
+  }
+  return buffer;
+}
+
+async function readJSON(req) {
+  const parts = [];
+  let size = 0;
+  for await (const part of req) {
+    size += part.length;
+    if (size > MAX_BODY_BYTES) throw new RequestError("Request body is too large", { status: 413 });
+    parts.push(part);
+  }
+  try {
+    const body = JSON.parse(Buffer.concat(parts).toString("utf8"));
+    if (body === null || typeof body !== "object") throw new Error();
+    return body;
+  } catch {
+    throw new RequestError("Request body must be a JSON object");
+  }
+}
+
+function sendJSON(res, status, body) {
+  res.writeHead(status, { "Content-Type": "application/json" });
+  res.end(JSON.stringify(body));
+}
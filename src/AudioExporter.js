@@ -0,0 +1,71 @@
+import {
+  COMPRESSED_FORMATS,
+  concatAudio,
+  encodeCompressed,
+  encodeWav,
+  isCompressedFormatSupported,
+} from "./audio-export.js";
+import { downloadBlob } from "./download.js";
+
+const SOFTWARE = "vtubergame (Kokoro TTS)";
+
+export class AudioExporter {
+  constructor(audioPlayer) {
+    this.audioPlayer = audioPlayer;
+    this.isEncoding = false;
+    this.handleDownloadClick = this.handleDownloadClick.bind(this);
+  }
+
+  init() {
+    this.downloadBtn = document.getElementById("audio-download-btn");
+    this.formatSelect = document.getElementById("audio-format");
+
+    // Opus recording support differs between browsers (Ogg is Firefox-only for now)
+    for (const option of this.formatSelect.options) {
+      if (COMPRESSED_FORMATS[option.value] && !isCompressedFormatSupported(option.value)) {
+        option.disabled = true;
+        option.textContent += " (unsupported)";
+      }
+    }
+
+    this.downloadBtn.addEventListener("click", this.handleDownloadClick);
+    this.refresh();
+  }
+
+  // Enable the download once an utterance has finished playing
+  refresh() {
+    this.downloadBtn.disabled = this.isEncoding || !this.audioPlayer.getLastUtterance();
+  }
+
+  async handleDownloadClick() {
+    const utterance = this.audioPlayer.getLastUtterance();
+    if (!utterance || this.isEncoding) return;
+
+    const format = this.formatSelect.value;
+    const samples = concatAudio(utterance.chunks);
+    const metadata = { ...utterance.info, software: SOFTWARE };
+    const filename = `speech-${Date.now()}`;
+
+    if (!COMPRESSED_FORMATS[format]) {
+      downloadBlob(encodeWav(samples, utterance.sampleRate, metadata), `${filename}.wav`);
+      return;
+    }
+
+    // MediaRecorder encodes in real time, so keep the button busy meanwhile
+    const label = this.downloadBtn.textContent;
+    this.isEncoding = true;
+    this.downloadBtn.textContent = "⏳ Encoding...";
+    this.refresh();
+    try {
+      const blob = await encodeCompressed(samples, utterance.sampleRate, format, metadata);
+      downloadBlob(blob, `${filename}.${COMPRESSED_FORMATS[format].extension}`);
+    } catch (error) {
+      console.error("Audio export failed:", error);
+      alert(`Audio export failed: ${error.message}`);
+    } finally {
+      this.isEncoding = false;
+      this.downloadBtn.textContent = label;
+      this.refresh();
+    }
+  }
+}
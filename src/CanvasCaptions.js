@@ -0,0 +1,223 @@
+import { Container, Text } from "pixi.js";
+import { timeSentences } from "./captions.js";
+
+const STORAGE_KEY = "vtubergame:canvas-captions";
+// How long a finished sentence stays on screen when nothing follows it
+const HOLD_SECONDS = 0.6;
+const LINE_SPACING = 1.2;
+
+export const DEFAULT_CAPTION_STYLE = Object.freeze({
+  enabled: true,
+  fontFamily: "Arial",
+  fontSize: 28,
+  fill: "#ffffff",
+  highlightFill: "#ffd32a",
+  stroke: "#000000",
+  strokeThickness: 5,
+  position: "bottom", // "top" | "middle" | "bottom"
+  margin: 24,
+});
+
+// Settings inputs in the TTS panel, mapped to style keys
+const CONTROLS = {
+  "canvas-captions-enabled": { key: "enabled", read: (input) => input.checked },
+  "canvas-captions-font": { key: "fontFamily" },
+  "canvas-captions-size": { key: "fontSize", read: (input) => Number(input.value) },
+  "canvas-captions-position": { key: "position" },
+  "canvas-captions-fill": { key: "fill" },
+  "canvas-captions-highlight": { key: "highlightFill" },
+  "canvas-captions-stroke": { key: "stroke" },
+  "canvas-captions-stroke-width": { key: "strokeThickness", read: (input) => Number(input.value) },
+};
+
+// Renders the sentence being spoken on the Pixi stage, highlighting each word as it is heard,
+// so stream capture picks up subtitles together with the character.
+export class CanvasCaptions {
+  constructor(app, audioPlayer) {
+    this.app = app;
+    this.audioPlayer = audioPlayer;
+    this.style = { ...DEFAULT_CAPTION_STYLE, ...this.loadStyle() };
+
+    this.sentences = [];
+    this.currentSentence = null;
+    this.wordTexts = [];
+    this.highlightedIndex = -1;
+
+    // Keep captions above whatever model is loaded later
+    this.container = new Container();
+    this.container.zIndex = 1000;
+    app.stage.sortableChildren = true;
+    app.stage.addChild(this.container);
+
+    this.update = this.update.bind(this);
+    app.ticker.add(this.update);
+
+    audioPlayer.onSegmentScheduled = (segment) => this.addSegment(segment);
+    audioPlayer.onPlaybackStopped = () => this.clear();
+  }
+
+  initControls() {
+    for (const [id, { key, read }] of Object.entries(CONTROLS)) {
+      const input = document.getElementById(id);
+      if (!input) continue;
+
+      if (input.type === "checkbox") {
+        input.checked = this.style[key];
+      } else {
+        input.value = this.style[key];
+      }
+      input.addEventListener("input", () => {
+        this.setStyle({ [key]: read ? read(input) : input.value });
+      });
+    }
+  }
+
+  loadStyle() {
+    try {
+      return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  setStyle(partial) {
+    this.style = { ...this.style, ...partial };
+    try {
+      localStorage.setItem(STORAGE_KEY, JSON.stringify(this.style));
+    } catch (e) {
+      console.warn("Unable to save caption style", e);
+    }
+
+    // Rebuild the sentence on screen with the new look
+    const sentence = this.currentSentence;
+    this.currentSentence = null;
+    if (sentence) this.showSentence(sentence);
+  }
+
+  addSegment({ startTime, duration, text, words = [] }) {
+    if (!text.trim()) return; // Silence from SSML breaks
+
+    const sentences = timeSentences({
+      text,
+      start: startTime,
+      end: startTime + duration,
+      words: words.map((word) => ({ ...word, start: startTime + word.start, end: startTime + word.end })),
+    });
+    this.sentences.push(...sentences);
+  }
+
+  clear() {
+    this.sentences = [];
+    this.showSentence(null);
+  }
+
+  update() {
+    const context = this.audioPlayer.audioContext;
+    if (!this.style.enabled || !context || this.sentences.length === 0) {
+      this.showSentence(null);
+      return;
+    }
+
+    const now = context.currentTime;
+    let active = null;
+    for (const sentence of this.sentences) {
+      if (sentence.start > now) break;
+      active = sentence;
+    }
+    if (active && now > active.end + HOLD_SECONDS) {
+      active = null;
+    }
+
+    // Forget sentences that can no longer be shown
+    while (this.sentences.length > 0 && this.sentences[0] !== active && this.sentences[0].end < now) {
+      this.sentences.shift();
+    }
+
+    this.showSentence(active);
+    if (active) {
+      let index = -1;
+      active.words.forEach((word, i) => {
+        if (word.start <= now) index = i;
+      });
+      this.highlightWord(index);
+    }
+  }
+
+  showSentence(sentence) {
+    if (sentence === this.currentSentence) return;
+    this.currentSentence = sentence;
+    this.highlightedIndex = -1;
+
+    this.container.removeChildren().forEach((child) => child.destroy());
+    this.wordTexts = [];
+    if (!sentence) return;
+
+    const words = sentence.words.length > 0 ? sentence.words.map((w) => w.text) : sentence.text.split(/\s+/);
+    this.wordTexts = words.map((word) => new Text(word, this.createTextStyle(this.style.fill)));
+    this.layout();
+  }
+
+  createTextStyle(fill) {
+    return {
+      fontFamily: this.style.fontFamily,
+      fontSize: this.style.fontSize,
+      fontWeight: "bold",
+      fill,
+      stroke: this.style.stroke,
+      strokeThickness: this.style.strokeThickness,
+    };
+  }
+
+  // Wrap words into centered lines that fit the canvas
+  layout() {
+    const { margin, fontSize, position } = this.style;
+    const maxWidth = this.app.screen.width - margin * 2;
+    const spaceWidth = fontSize * 0.3;
+
+    const lines = [[]];
+    let lineWidth = 0;
+    for (const text of this.wordTexts) {
+      const width = text.width + (lines.at(-1).length > 0 ? spaceWidth : 0);
+      if (lineWidth + width > maxWidth && lines.at(-1).length > 0) {
+        lines.push([]);
+        lineWidth = 0;
+      }
+      lineWidth += lines.at(-1).length > 0 ? text.width + spaceWidth : text.width;
+      lines.at(-1).push(text);
+    }
+
+    const lineHeight = fontSize * LINE_SPACING;
+    const blockHeight = lines.length * lineHeight;
+    let y;
+    if (position === "top") {
+      y = margin;
+    } else if (position === "middle") {
+      y = (this.app.screen.height - blockHeight) / 2;
+    } else {
+      y = this.app.screen.height - margin - blockHeight;
+    }
+
+    for (const line of lines) {
+      const width = line.reduce((sum, text) => sum + text.width, 0) + spaceWidth * (line.length - 1);
+      let x = (this.app.screen.width - width) / 2;
+      for (const text of line) {
+        text.position.set(x, y);
+        this.container.addChild(text);
+        x += text.width + spaceWidth;
+      }
+      y += lineHeight;
+    }
+  }
+
+  highlightWord(index) {
+    if (index === this.highlightedIndex) return;
+    const previous = this.wordTexts[this.highlightedIndex];
+    if (previous) {
+      previous.style.fill = this.style.fill;
+    }
+    this.highlightedIndex = index;
+    if (this.wordTexts[index]) {
+      this.wordTexts[index].style.fill = this.style.highlightFill;
+    }
+  }
+}
@@ -0,0 +1,45 @@
+import { buildCaptionCues, toSRT, toWebVTT } from "./captions.js";
+import { downloadBlob } from "./download.js";
+
+const FORMATS = {
+  srt: { extension: "srt", type: "application/x-subrip", serialize: toSRT },
+  vtt: { extension: "vtt", type: "text/vtt", serialize: toWebVTT },
+};
+
+export class CaptionExporter {
+  constructor(audioPlayer) {
+    this.audioPlayer = audioPlayer;
+    this.handleDownloadClick = this.handleDownloadClick.bind(this);
+  }
+
+  init() {
+    this.downloadBtn = document.getElementById("caption-download-btn");
+    this.formatSelect = document.getElementById("caption-format");
+    this.perSentenceInput = document.getElementById("caption-per-sentence");
+
+    this.downloadBtn.addEventListener("click", this.handleDownloadClick);
+    this.refresh();
+  }
+
+  // Enable the download once an utterance has finished playing
+  refresh() {
+    this.downloadBtn.disabled = !this.audioPlayer.getLastUtterance();
+  }
+
+  handleDownloadClick() {
+    const utterance = this.audioPlayer.getLastUtterance();
+    if (!utterance) return;
+
+    const format = FORMATS[this.formatSelect.value] || FORMATS.srt;
+    const cues = buildCaptionCues(utterance.segments, {
+      perSentence: this.perSentenceInput.checked,
+    });
+    if (cues.length === 0) {
+      alert("The last utterance has no text to caption");
+      return;
+    }
+
+    const blob = new Blob([format.serialize(cues)], { type: format.type });
+    downloadBlob(blob, `speech-${Date.now()}.${format.extension}`);
+  }
+}
@@ -1,39 +1,280 @@
-import { updateProgress } from "./updateProgress.js";
+import { countSpeechChars, findExpressionIndex, findMotionGroup } from "./performance-tags.js";
+import { VISEME_SHAPES } from "./visemes.js";
+import { concatAudio, encodeWav } from "./audio-export.js";
 
 const SAMPLE_RATE = 24000;
+// Small lead so the first chunk is never scheduled in the past
+const SCHEDULE_AHEAD = 0.05;
+// How quickly the mouth moves towards each new viseme shape (0..1 per frame)
+const MOUTH_SMOOTHING = 0.5;
+// Mouth-form parameter ids; the mouth-open ids come from the model's lipsync settings
+const MOUTH_FORM_PARAM_CUBISM4 = "ParamMouthForm";
+const MOUTH_FORM_PARAM_CUBISM2 = "PARAM_MOUTH_FORM";
 
 export class Live2DAudioPlayer {
-  constructor(worker, live2dModel) {
-    this.worker = worker;
+  constructor(ttsClient, live2dModel) {
+    this.ttsClient = ttsClient;
     this.live2dModel = live2dModel;
     this.audioChunks = [];
     this.isProcessing = false;
-    this.totalAudioChunks = 0;
-    this.processedAudioChunks = 0;
     this.currentAudioUrl = null;
+    this.volume = 0.8;
+
+    // Web Audio streaming state
+    this.audioContext = null;
+    this.gainNode = null;
+    this.analyser = null;
+    this.scheduledSources = [];
+    this.nextStartTime = 0;
+    this.isPlaying = false;
+    this.streamComplete = false;
+    this.playbackResolve = null;
+    this.appliedExpression = false;
+
+    // Performance tag cues and how far into the text playback has been scheduled
+    this.cues = [];
+    this.cueTimers = [];
+    this.scheduledSpeechChars = 0;
+    this.hasPerformanceCues = false;
+
+    // Viseme timeline in AudioContext time, built from the worker's phoneme tracks
+    this.visemeTimeline = [];
+    this.visemeIndex = 0;
+    this.mouthOpen = 0;
+    this.mouthForm = 0;
+
+    // Where each chunk sits in the concatenated utterance (as built by finalizeAudio),
+    // and a snapshot of the last utterance that played to the end
+    this.utteranceSegments = [];
+    this.utteranceSamples = 0;
+    this.utteranceInfo = null;
+    this.lastUtterance = null;
+
+    // Worker job whose audio is playing; buffer acknowledgments and cancels name it
+    this.jobId = null;
+    this.playedChunks = 0;
+
+    // Optional listeners, e.g. for on-canvas captions
+    this.onSegmentScheduled = null; // ({ startTime, duration, text, words }) with chunk-relative word times
+    this.onPlaybackStopped = null;
+
+    this.updateMouth = this.updateMouth.bind(this);
   }
 
   setLive2DModel(model) {
+    if (this.isPlaying) {
+      this.detachLipsync();
+    }
     this.live2dModel = model;
+    if (this.isPlaying) {
+      this.attachLipsync();
+    }
+  }
+
+  // Create (or resume) the shared AudioContext. Call this from a user gesture
+  // so the browser allows playback once the first chunk arrives.
+  ensureAudioContext() {
+    if (!this.audioContext) {
+      this.audioContext = new AudioContext({ sampleRate: SAMPLE_RATE });
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = this.volume;
+      this.analyser = this.audioContext.createAnalyser();
+      this.analyser.fftSize = 256;
+      this.analyser.smoothingTimeConstant = 0.85;
+      // Analyse before the volume stage so quiet playback still moves the mouth
+      this.analyser.connect(this.gainNode);
+      this.gainNode.connect(this.audioContext.destination);
+    }
+    if (this.audioContext.state === "suspended") {
+      this.audioContext.resume();
+    }
+    return this.audioContext;
+  }
+
+  setVolume(volume) {
+    this.volume = Math.max(0, Math.min(1, volume));
+    if (this.gainNode) {
+      this.gainNode.gain.value = this.volume;
+    }
   }
 
-  setTotalChunks(totalChunks) {
-    this.totalAudioChunks = totalChunks;
-    this.processedAudioChunks = 0;
+  // Cues from parsePerformanceTags, fired as playback reaches their position
+  setPerformanceCues(cues) {
+    this.cues = [...cues].sort((a, b) => a.position - b.position);
+    this.hasPerformanceCues = this.cues.length > 0;
   }
 
-  async queueAudio(audioData) {
+  setJobId(id) {
+    this.jobId = id;
+    this.playedChunks = 0;
+  }
+
+  // What is being spoken, kept with the last utterance for export metadata
+  setUtteranceInfo({ text, voice, speed }) {
+    this.utteranceInfo = { text, voice, speed };
+  }
+
+  async queueAudio(audioData, { text = "", visemes = null, words = [] } = {}) {
     // Collect audio chunks as Float32Arrays
     const audioData2 = new Float32Array(audioData);
     this.audioChunks.push(audioData2);
-    
-    // Update progress tracking
-    this.processedAudioChunks++;
-    const percent = Math.min((this.processedAudioChunks / this.totalAudioChunks) * 100, 99);
-    updateProgress(percent, "Processing audio chunks...");
+    this.recordSegment(audioData2, text, words);
+
+    // Schedule the chunk right behind whatever is already queued
+    const { startTime, duration } = this.scheduleChunk(audioData2);
+    this.scheduleCues(text, startTime, duration);
+    this.scheduleVisemes(visemes, startTime);
+    this.onSegmentScheduled?.({ startTime, duration, text, words });
 
-    // Notify worker that buffer has been processed
-    this.worker.postMessage({ type: "buffer_processed" });
+    if (!this.isPlaying) {
+      this.startLipsync();
+    }
+  }
+
+  recordSegment(samples, text, words) {
+    const start = this.utteranceSamples / SAMPLE_RATE;
+    this.utteranceSamples += samples.length;
+    this.utteranceSegments.push({
+      text,
+      start,
+      end: this.utteranceSamples / SAMPLE_RATE,
+      words: words.map((word) => ({ ...word, start: start + word.start, end: start + word.end })),
+    });
+  }
+
+  // The last utterance that finished playing: its audio chunks, timed text segments and
+  // the text/voice/speed it was generated with
+  getLastUtterance() {
+    return this.lastUtterance;
+  }
+
+  scheduleChunk(samples) {
+    const context = this.ensureAudioContext();
+    const buffer = context.createBuffer(1, samples.length, SAMPLE_RATE);
+    buffer.copyToChannel(samples, 0);
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    source.connect(this.analyser);
+
+    const startTime = Math.max(this.nextStartTime, context.currentTime + SCHEDULE_AHEAD);
+    source.start(startTime);
+    this.nextStartTime = startTime + buffer.duration;
+
+    const jobId = this.jobId;
+    source.onended = () => {
+      const index = this.scheduledSources.indexOf(source);
+      if (index === -1) return; // Already stopped and discarded
+      this.scheduledSources.splice(index, 1);
+
+      // Acknowledge with the running total so the worker can send more right away
+      if (jobId !== null && jobId === this.jobId) {
+        this.playedChunks++;
+        this.ttsClient.acknowledge(jobId, this.playedChunks);
+      }
+
+      if (this.streamComplete && this.scheduledSources.length === 0) {
+        this.finishLipsync();
+      }
+    };
+    this.scheduledSources.push(source);
+
+    return { startTime, duration: buffer.duration };
+  }
+
+  // Spread the cues that fall inside this chunk's text across its audio,
+  // assuming characters are spoken at an even rate
+  scheduleCues(text, startTime, duration) {
+    const chunkStart = this.scheduledSpeechChars;
+    const chunkChars = countSpeechChars(text);
+    this.scheduledSpeechChars += chunkChars;
+
+    while (this.cues.length > 0 && this.cues[0].position < this.scheduledSpeechChars) {
+      const cue = this.cues.shift();
+      const fraction = chunkChars > 0 ? (cue.position - chunkStart) / chunkChars : 0;
+      this.scheduleCue(cue, startTime + Math.max(0, fraction) * duration);
+    }
+  }
+
+  // Chunks without a viseme track fall back to volume-only lipsync
+  scheduleVisemes(visemes, startTime) {
+    const track = visemes?.length ? visemes : [{ time: 0, viseme: null }];
+    for (const { time, viseme } of track) {
+      this.visemeTimeline.push({ time: startTime + time, viseme });
+    }
+  }
+
+  getCurrentViseme() {
+    const now = this.audioContext.currentTime;
+    const timeline = this.visemeTimeline;
+    while (this.visemeIndex + 1 < timeline.length && timeline[this.visemeIndex + 1].time <= now) {
+      this.visemeIndex++;
+    }
+    const entry = timeline[this.visemeIndex];
+    return entry && entry.time <= now ? entry.viseme : null;
+  }
+
+  scheduleCue(cue, time) {
+    const delay = Math.max(0, (time - this.audioContext.currentTime) * 1000);
+    const timer = setTimeout(() => {
+      this.cueTimers = this.cueTimers.filter((t) => t !== timer);
+      this.applyCue(cue);
+    }, delay);
+    this.cueTimers.push(timer);
+  }
+
+  applyCue(cue) {
+    if (!this.live2dModel) return;
+
+    if (cue.type === "expression") {
+      const index = findExpressionIndex(this.live2dModel, cue.name);
+      if (index === null) {
+        console.warn(`Performance tag: expression "${cue.name}" not found on this model`);
+        return;
+      }
+      console.log(`Performance tag: expression ${cue.name} (index: ${index})`);
+      this.live2dModel.expression(index);
+      this.appliedExpression = true;
+    } else {
+      const group = findMotionGroup(this.live2dModel, cue.name);
+      if (!group) {
+        console.warn(`Performance tag: motion group "${cue.name}" not found on this model`);
+        return;
+      }
+      const motions = this.live2dModel.internalModel.motionManager.definitions[group];
+      const index = cue.index ?? Math.floor(Math.random() * motions.length);
+      console.log(`Performance tag: motion ${group}[${index}]`);
+      // Priority 3 = force, so scripted motions interrupt the talking motion
+      this.live2dModel.motion(group, index, 3);
+    }
+  }
+
+  clearCueTimers() {
+    this.cueTimers.forEach((timer) => clearTimeout(timer));
+    this.cueTimers = [];
+  }
+
+  // Resolves once every queued chunk has been heard. Call after the worker
+  // reports "complete".
+  waitForPlaybackEnd() {
+    if (this.audioChunks.length === 0) {
+      return Promise.reject(new Error('No audio chunks were received'));
+    }
+
+    this.streamComplete = true;
+
+    // Tags after the last word fire as the final chunk ends
+    const endTime = Math.max(this.nextStartTime - SCHEDULE_AHEAD, this.audioContext.currentTime);
+    this.cues.splice(0).forEach((cue) => this.scheduleCue(cue, endTime));
+
+    if (this.scheduledSources.length === 0) {
+      this.finishLipsync();
+      return Promise.resolve();
+    }
+
+    return new Promise((resolve) => {
+      this.playbackResolve = resolve;
+    });
   }
 
   async finalizeAudio() {
@@ -43,16 +284,7 @@ export class Live2DAudioPlayer {
 
     console.log(`Finalizing ${this.audioChunks.length} audio chunks for Live2D`);
 
-    // Calculate total length
-    const totalLength = this.audioChunks.reduce((sum, chunk) => sum + chunk.length, 0);
-    
-    // Combine all chunks into a single Float32Array
-    const combinedAudio = new Float32Array(totalLength);
-    let offset = 0;
-    for (const chunk of this.audioChunks) {
-      combinedAudio.set(chunk, offset);
-      offset += chunk.length;
-    }
+    const combinedAudio = concatAudio(this.audioChunks);
 
     // Convert Float32Array to 16-bit PCM WAV format for Live2D compatibility
     const wavBlob = this.createWavBlob(combinedAudio);
@@ -63,76 +295,120 @@ export class Live2DAudioPlayer {
   }
 
   // Create a properly formatted WAV blob that Live2D can handle
-  createWavBlob(audioData) {
-    const sampleRate = SAMPLE_RATE;
-    const buffer = new ArrayBuffer(44 + audioData.length * 2);
-    const view = new DataView(buffer);
-    
-    // WAV header
-    const writeString = (offset, string) => {
-      for (let i = 0; i < string.length; i++) {
-        view.setUint8(offset + i, string.charCodeAt(i));
-      }
+  createWavBlob(audioData, metadata = null) {
+    return encodeWav(audioData, SAMPLE_RATE, metadata);
+  }
+
+  startLipsync() {
+    this.isPlaying = true;
+    this.attachLipsync();
+
+    // Scripted performance tags replace the random expression and motion
+    if (!this.live2dModel || this.hasPerformanceCues) return;
+
+    const expression = this.getRandomExpression();
+    if (expression !== null) {
+      this.live2dModel.expression(expression);
+      this.appliedExpression = true;
+    }
+
+    // Trigger a talking motion
+    this.triggerRandomMotion("tap_body") ||
+      this.triggerRandomMotion("idle") ||
+      this.triggerRandomMotion("Idle");
+  }
+
+  finishLipsync() {
+    console.log("Live2D lipsync finished");
+    this.detachLipsync();
+    this.resetAppliedExpression();
+    this.isPlaying = false;
+
+    this.lastUtterance = {
+      chunks: this.audioChunks,
+      segments: this.utteranceSegments,
+      duration: this.utteranceSamples / SAMPLE_RATE,
+      sampleRate: SAMPLE_RATE,
+      info: this.utteranceInfo,
     };
-    
-    writeString(0, 'RIFF');
-    view.setUint32(4, 36 + audioData.length * 2, true);
-    writeString(8, 'WAVE');
-    writeString(12, 'fmt ');
-    view.setUint32(16, 16, true);
-    view.setUint16(20, 1, true);
-    view.setUint16(22, 1, true);
-    view.setUint32(24, sampleRate, true);
-    view.setUint32(28, sampleRate * 2, true);
-    view.setUint16(32, 2, true);
-    view.setUint16(34, 16, true);
-    writeString(36, 'data');
-    view.setUint32(40, audioData.length * 2, true);
-    
-    // Convert float samples to 16-bit PCM
-    let offset = 44;
-    for (let i = 0; i < audioData.length; i++) {
-      const sample = Math.max(-1, Math.min(1, audioData[i]));
-      view.setInt16(offset, sample * 0x7FFF, true);
-      offset += 2;
+
+    const resolve = this.playbackResolve;
+    this.playbackResolve = null;
+    this.cleanup();
+    resolve?.();
+  }
+
+  // Hook into the model update loop so mouth parameters are written after
+  // motions and physics, right before the model is drawn.
+  attachLipsync() {
+    this.live2dModel?.internalModel?.on("beforeModelUpdate", this.updateMouth);
+  }
+
+  detachLipsync() {
+    this.live2dModel?.internalModel?.off("beforeModelUpdate", this.updateMouth);
+  }
+
+  updateMouth() {
+    if (!this.live2dModel || !this.analyser) return;
+
+    const internalModel = this.live2dModel.internalModel;
+    const coreModel = internalModel.coreModel;
+    const loudness = this.getMouthOpenValue();
+    const viseme = this.getCurrentViseme();
+
+    let open = loudness;
+    let form = 0;
+    if (viseme) {
+      // Phonemes pick the mouth shape; loudness still closes it during silence
+      const shape = VISEME_SHAPES[viseme];
+      open = loudness > 0 ? shape.open * (0.6 + 0.4 * loudness) : 0;
+      form = shape.form;
     }
-    
-    return new Blob([buffer], { type: 'audio/wav' });
-  }
-
-  async playWithLipsync() {
-    if (!this.live2dModel) {
-      throw new Error('No Live2D model available for lipsync');
-    }
-
-    if (!this.currentAudioUrl) {
-      throw new Error('No audio URL available for playback');
-    }
-
-    return new Promise((resolve, reject) => {
-      // Use the Live2D model's speak function for lip sync
-      this.live2dModel.speak(this.currentAudioUrl, {
-        volume: 0.8,
-        expression: this.getRandomExpression(),
-        resetExpression: true,
-        crossOrigin: "anonymous",
-        onFinish: () => {
-          console.log("Live2D lipsync finished");
-          this.cleanup();
-          resolve();
-        },
-        onError: (err) => {
-          console.error("Live2D lipsync error:", err);
-          this.cleanup();
-          reject(err);
-        },
-      });
-
-      // Trigger a talking motion
-      this.triggerRandomMotion("tap_body") ||
-        this.triggerRandomMotion("idle") ||
-        this.triggerRandomMotion("Idle");
-    });
+
+    this.mouthOpen += (open - this.mouthOpen) * MOUTH_SMOOTHING;
+    this.mouthForm += (form - this.mouthForm) * MOUTH_SMOOTHING;
+
+    for (const id of internalModel.motionManager.lipSyncIds || []) {
+      this.setModelParameter(coreModel, id, this.mouthOpen);
+    }
+    if (viseme) {
+      const formParam = this.isCubism4(coreModel) ? MOUTH_FORM_PARAM_CUBISM4 : MOUTH_FORM_PARAM_CUBISM2;
+      this.setModelParameter(coreModel, formParam, this.mouthForm);
+    }
+  }
+
+  isCubism4(coreModel) {
+    return typeof coreModel.setParameterValueById === "function";
+  }
+
+  // Same RMS curve the lipsync patch uses for model.speak()
+  getMouthOpenValue() {
+    const pcmData = new Float32Array(this.analyser.fftSize);
+    this.analyser.getFloatTimeDomainData(pcmData);
+
+    let sumSquares = 0;
+    for (const amplitude of pcmData) {
+      sumSquares += amplitude * amplitude;
+    }
+    const value = Math.round(Math.sqrt((sumSquares / pcmData.length) * 20) * 10) / 10;
+    const min = value > 0 ? 0.4 : 0;
+    return Math.max(min, Math.min(1, Math.pow(value, 0.7) * 1.2));
+  }
+
+  setModelParameter(coreModel, id, value) {
+    if (this.isCubism4(coreModel)) {
+      // Cubism 4
+      coreModel.setParameterValueById(id, value);
+    } else {
+      // Cubism 2.1
+      coreModel.setParamFloat(coreModel.getParamIndex(id), value);
+    }
+  }
+
+  resetAppliedExpression() {
+    if (!this.appliedExpression) return;
+    this.appliedExpression = false;
+    this.live2dModel?.internalModel?.motionManager.expressionManager?.resetExpression();
   }
 
   getRandomExpression() {
@@ -164,16 +440,27 @@ export class Live2DAudioPlayer {
   stop() {
     console.log("Stopping Live2D audio playback");
     
+    this.stopScheduledSources();
+    this.detachLipsync();
+    this.resetAppliedExpression();
+    this.isPlaying = false;
+
     if (this.live2dModel) {
       this.live2dModel.stopSpeaking();
       this.live2dModel.stopMotions();
     }
-    
+
+    const resolve = this.playbackResolve;
+    this.playbackResolve = null;
     this.cleanup();
+    this.onPlaybackStopped?.();
+    resolve?.();
     
-    if (this.worker) {
-      this.worker.postMessage({ type: "stop" });
+    // Only this job; anything else queued in the worker keeps its place
+    if (this.ttsClient && this.jobId !== null) {
+      this.ttsClient.cancel(this.jobId);
     }
+    this.jobId = null;
   }
 
   cleanup() {
@@ -186,11 +473,38 @@ export class Live2DAudioPlayer {
     // Clear audio chunks
     this.audioChunks = [];
     this.isProcessing = false;
-    this.processedAudioChunks = 0;
+    this.streamComplete = false;
+    this.nextStartTime = 0;
+
+    this.clearCueTimers();
+    this.cues = [];
+    this.scheduledSpeechChars = 0;
+    this.hasPerformanceCues = false;
+
+    this.visemeTimeline = [];
+    this.visemeIndex = 0;
+    this.mouthOpen = 0;
+    this.mouthForm = 0;
+
+    this.utteranceSegments = [];
+    this.utteranceSamples = 0;
+    this.utteranceInfo = null;
+  }
+
+  stopScheduledSources() {
+    const sources = this.scheduledSources;
+    this.scheduledSources = [];
+    for (const source of sources) {
+      try {
+        source.stop();
+      } catch (e) {
+        // Source was never started or has already ended
+      }
+      source.disconnect();
+    }
   }
 
   reset() {
     this.cleanup();
-    this.totalAudioChunks = 0;
   }
 }
\ No newline at end of file
@@ -0,0 +1,167 @@
+import {
+  clearCachedFiles,
+  deleteCachedFile,
+  downloadAllVoices,
+  importModelFolder,
+  importVoiceFiles,
+  listCachedFiles,
+} from "./model-cache.js";
+
+// Shows the voice and model files stored in Cache Storage, and lets the user download all
+// voices ahead of time, import files from disk or purge them. Changes apply to the next
+// model load; voices and weights already in use stay loaded.
+export class ModelCachePanel {
+  constructor() {
+    this.busy = false;
+    this.handleDownloadClick = this.handleDownloadClick.bind(this);
+    this.handleClearClick = this.handleClearClick.bind(this);
+  }
+
+  init() {
+    this.panel = document.getElementById("model-cache-panel");
+    this.stats = document.getElementById("model-cache-stats");
+    this.list = document.getElementById("model-cache-list");
+    this.downloadBtn = document.getElementById("model-cache-download-voices");
+    this.voiceInput = document.getElementById("model-cache-import-voices");
+    this.modelInput = document.getElementById("model-cache-import-model");
+    this.clearBtn = document.getElementById("model-cache-clear");
+
+    this.downloadBtn.addEventListener("click", this.handleDownloadClick);
+    this.clearBtn.addEventListener("click", this.handleClearClick);
+    this.voiceInput.addEventListener("change", () =>
+      this.importFiles(this.voiceInput, importVoiceFiles)
+    );
+    this.modelInput.addEventListener("change", () =>
+      this.importFiles(this.modelInput, importModelFolder)
+    );
+    // Reading every entry's size is slow with large weights, so only do it when open
+    this.panel.addEventListener("toggle", () => {
+      if (this.panel.open) this.refresh();
+    });
+  }
+
+  async refresh() {
+    if (!this.panel?.open || this.busy) return;
+
+    let files;
+    try {
+      files = await listCachedFiles();
+    } catch (error) {
+      console.warn("Unable to read the voice and model caches:", error);
+      this.stats.textContent = "Cache Storage unavailable";
+      return;
+    }
+
+    const all = [...files.model, ...files.voices];
+    const totalBytes = all.reduce((sum, file) => sum + file.size, 0);
+    this.stats.textContent = `${files.model.length} model files, ${files.voices.length} voices, ${formatMB(totalBytes)}`;
+    this.clearBtn.disabled = all.length === 0;
+
+    this.list.replaceChildren(
+      ...this.renderGroup("Model", files.model),
+      ...this.renderGroup("Voices", files.voices)
+    );
+  }
+
+  renderGroup(title, files) {
+    if (files.length === 0) return [];
+
+    const heading = document.createElement("li");
+    heading.className = "model-cache-group";
+    heading.textContent = title;
+
+    return [
+      heading,
+      ...files.map((file) => {
+        const item = document.createElement("li");
+
+        const label = document.createElement("span");
+        label.className = "model-cache-name";
+        label.textContent = file.name;
+        label.title = file.key;
+
+        const size = document.createElement("span");
+        size.className = "model-cache-size";
+        size.textContent = formatMB(file.size);
+
+        const deleteBtn = document.createElement("button");
+        deleteBtn.textContent = "✕";
+        deleteBtn.title = "Remove from cache";
+        deleteBtn.addEventListener("click", () => this.run(() => deleteCachedFile(file)));
+
+        item.append(label, size, deleteBtn);
+        return item;
+      }),
+    ];
+  }
+
+  async handleDownloadClick() {
+    await this.run(async () => {
+      const failed = await downloadAllVoices((done, total) => {
+        this.stats.textContent = `Downloading voices... ${done}/${total}`;
+      });
+      if (failed.length > 0) {
+        alert(`Could not download ${failed.length} voices: ${failed.join(", ")}`);
+      }
+    });
+  }
+
+  async importFiles(input, importer) {
+    const files = [...input.files];
+    input.value = ""; // Picking the same files again should import them again
+    if (files.length === 0) return;
+
+    await this.run(async () => {
+      this.stats.textContent = "Importing...";
+      try {
+        const { imported, skipped } = await importer(files);
+        console.log("Imported into the cache:", imported);
+        if (skipped.length > 0) {
+          alert(`Imported ${imported.length} files. Skipped files that match no voice: ${skipped.join(", ")}`);
+        }
+      } catch (error) {
+        console.error("Import failed:", error);
+        alert(`Import failed: ${error.message}`);
+      }
+    });
+  }
+
+  async handleClearClick() {
+    if (!confirm("Remove all downloaded voices and model files? They will be downloaded again when needed.")) {
+      return;
+    }
+    await this.run(() => clearCachedFiles());
+  }
+
+  // Keep the buttons disabled while a long operation runs, then show the result
+  async run(task) {
+    if (this.busy) return; // The per-file delete buttons stay clickable
+    this.busy = true;
+    this.setButtonsDisabled(true);
+    let failure = null;
+    try {
+      await task();
+    } catch (error) {
+      console.error("Cache operation failed:", error);
+      failure = error;
+    }
+    this.busy = false;
+    this.setButtonsDisabled(false);
+    await this.refresh();
+    // After the refresh, which would overwrite it; the list still shows what is left
+    if (failure) {
+      this.stats.textContent = `Failed: ${failure.message}`;
+    }
+  }
+
+  setButtonsDisabled(disabled) {
+    this.downloadBtn.disabled = disabled;
+    this.voiceInput.disabled = disabled;
+    this.modelInput.disabled = disabled;
+    this.clearBtn.disabled = disabled;
+  }
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
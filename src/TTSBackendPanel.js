@@ -0,0 +1,190 @@
+import { runBenchmark } from "./tts-benchmark.js";
+
+const SETTINGS_KEY = "vtubergame:tts-backend";
+const RESULTS_KEY = "vtubergame:tts-benchmarks";
+const MAX_RESULTS = 20;
+// Text inputs for where the model, voices and ONNX runtime are loaded from
+const SOURCE_INPUTS = {
+  modelUrl: "tts-model-url",
+  voicesUrl: "tts-voices-url",
+  wasmUrl: "tts-wasm-url",
+};
+
+/**
+ * The saved model settings, for the TTSClient constructor. "auto" and empty sources are
+ * left out; source paths are resolved against the page.
+ * @returns {{device?: string, dtype?: string, modelUrl?: string, voicesUrl?: string, wasmUrl?: string}}
+ */
+export function loadBackendSettings() {
+  const saved = readSettings();
+  const settings = {
+    device: saved.device && saved.device !== "auto" ? saved.device : undefined,
+    dtype: saved.dtype && saved.dtype !== "auto" ? saved.dtype : undefined,
+  };
+  for (const key of Object.keys(SOURCE_INPUTS)) {
+    const value = saved[key]?.trim();
+    if (!value) continue;
+    try {
+      settings[key] = new URL(value, document.baseURI).href;
+    } catch (e) {
+      console.warn(`Ignoring invalid ${key} "${value}"`);
+    }
+  }
+  // Voices sit in voices/ next to the model, as on the Hub
+  if (settings.modelUrl && !settings.voicesUrl) {
+    settings.voicesUrl = new URL("voices", settings.modelUrl.replace(/\/?$/, "/")).href;
+  }
+  return settings;
+}
+
+function readSettings() {
+  try {
+    return JSON.parse(localStorage.getItem(SETTINGS_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+// Device, precision and model source settings, plus a benchmark whose results are kept
+// so configurations can be compared on this machine.
+export class TTSBackendPanel {
+  constructor(ttsClient) {
+    this.ttsClient = ttsClient;
+    this.onRestart = null;
+    this.results = loadResults();
+    this.handleApplyClick = this.handleApplyClick.bind(this);
+    this.handleBenchmarkClick = this.handleBenchmarkClick.bind(this);
+  }
+
+  // `onRestart(settings)` restarts the worker with the chosen settings
+  init({ onRestart } = {}) {
+    this.onRestart = onRestart;
+    this.deviceSelect = document.getElementById("tts-device");
+    this.dtypeSelect = document.getElementById("tts-dtype");
+    this.applyBtn = document.getElementById("tts-backend-apply");
+    this.status = document.getElementById("tts-backend-status");
+    this.benchmarkBtn = document.getElementById("tts-benchmark-run");
+    this.resultsBody = document.getElementById("tts-benchmark-results");
+    this.clearBtn = document.getElementById("tts-benchmark-clear");
+
+    this.sourceInputs = Object.fromEntries(
+      Object.entries(SOURCE_INPUTS).map(([key, id]) => [key, document.getElementById(id)])
+    );
+
+    const saved = readSettings();
+    this.deviceSelect.value = saved.device || "auto";
+    this.dtypeSelect.value = saved.dtype || "auto";
+    for (const [key, input] of Object.entries(this.sourceInputs)) {
+      input.value = saved[key] || "";
+    }
+
+    this.applyBtn.addEventListener("click", this.handleApplyClick);
+    this.benchmarkBtn.addEventListener("click", this.handleBenchmarkClick);
+    this.clearBtn.addEventListener("click", () => {
+      this.results = [];
+      saveResults(this.results);
+      this.renderResults();
+    });
+    this.renderResults();
+    this.setLoading();
+  }
+
+  setLoading() {
+    this.status.textContent = "Loading model...";
+    this.benchmarkBtn.disabled = true;
+  }
+
+  // Loading failed, e.g. because files are missing from a local model folder
+  setError(error) {
+    this.status.textContent = `Model failed to load: ${error}`;
+    this.benchmarkBtn.disabled = true;
+  }
+
+  // Called whenever a model has finished loading
+  setReady({ device, dtype, loadTime }) {
+    this.status.textContent = `Running on ${device} (${dtype}), loaded in ${formatSeconds(loadTime)}`;
+    this.benchmarkBtn.disabled = false;
+  }
+
+  handleApplyClick() {
+    const settings = { device: this.deviceSelect.value, dtype: this.dtypeSelect.value };
+    for (const [key, input] of Object.entries(this.sourceInputs)) {
+      settings[key] = input.value.trim();
+    }
+    localStorage.setItem(SETTINGS_KEY, JSON.stringify(settings));
+    this.setLoading();
+    this.onRestart?.(loadBackendSettings());
+  }
+
+  async handleBenchmarkClick() {
+    const info = this.ttsClient.info;
+    if (!info) return;
+
+    this.benchmarkBtn.disabled = true;
+    this.applyBtn.disabled = true;
+    this.status.textContent = `Benchmarking ${info.device} (${info.dtype})...`;
+    try {
+      const result = await runBenchmark(this.ttsClient);
+      this.results.unshift({
+        device: info.device,
+        dtype: info.dtype,
+        loadTime: info.loadTime,
+        firstChunkLatency: result.firstChunkLatency,
+        rtf: result.rtf,
+        date: Date.now(),
+      });
+      this.results = this.results.slice(0, MAX_RESULTS);
+      saveResults(this.results);
+      this.renderResults();
+      this.status.textContent = `Real-time factor ${result.rtf.toFixed(2)} on ${info.device} (${info.dtype})`;
+    } catch (error) {
+      console.error("TTS benchmark failed:", error);
+      this.status.textContent = `Benchmark failed: ${error.message}`;
+    } finally {
+      this.benchmarkBtn.disabled = !this.ttsClient.info;
+      this.applyBtn.disabled = false;
+    }
+  }
+
+  renderResults() {
+    this.clearBtn.disabled = this.results.length === 0;
+    this.resultsBody.replaceChildren(
+      ...this.results.map((result) => {
+        const row = document.createElement("tr");
+        row.title = new Date(result.date).toLocaleString();
+        for (const value of [
+          `${result.device} ${result.dtype}`,
+          formatSeconds(result.loadTime),
+          formatSeconds(result.firstChunkLatency),
+          result.rtf.toFixed(2),
+        ]) {
+          const cell = document.createElement("td");
+          cell.textContent = value;
+          row.append(cell);
+        }
+        return row;
+      })
+    );
+  }
+}
+
+function loadResults() {
+  try {
+    const results = JSON.parse(localStorage.getItem(RESULTS_KEY));
+    return Array.isArray(results) ? results : [];
+  } catch (e) {
+    return [];
+  }
+}
+
+function saveResults(results) {
+  try {
+    localStorage.setItem(RESULTS_KEY, JSON.stringify(results));
+  } catch (e) {
+    console.warn("Unable to save benchmark results", e);
+  }
+}
+
+function formatSeconds(ms) {
+  return `${(ms / 1000).toFixed(2)}s`;
+}
@@ -1,20 +1,78 @@
 import { updateProgress } from "./updateProgress.js";
+import { parsePerformanceTags } from "./performance-tags.js";
+
+const BUFFER_SIZE_KEY = "vtubergame:tts-buffer-size";
+const DEFAULT_BUFFER_SIZE = 6;
 
 export class TTSButtonHandler {
-  constructor(worker, audioPlayer) {
-    this.worker = worker;
+  constructor(ttsClient, audioPlayer, voiceSelector, utteranceCache = null) {
+    this.ttsClient = ttsClient;
     this.audioPlayer = audioPlayer;
+    this.voiceSelector = voiceSelector;
+    this.utteranceCache = utteranceCache;
     this.isProcessing = false;
     this.mode = "none";
 
+    // The request being spoken; chunks arriving for any other request are stale
+    this.currentRequest = null;
+    this.onSpeechFinished = null;
+    this.onCacheUpdated = null;
+
     // Bind methods to maintain 'this' context
     this.handleSpeakButtonClick = this.handleSpeakButtonClick.bind(this);
+    this.previewVoice = this.previewVoice.bind(this);
   }
 
-  init() {
+  // `onSpeechFinished` runs after a request has played to the end,
+  // `onCacheUpdated` after a new line has been stored
+  init({ onSpeechFinished, onCacheUpdated } = {}) {
+    this.onSpeechFinished = onSpeechFinished;
+    this.onCacheUpdated = onCacheUpdated;
+
     document
       .getElementById("speak-btn")
       .addEventListener("click", this.handleSpeakButtonClick);
+
+    const speedInput = document.getElementById("tts-speed");
+    const speedValue = document.getElementById("tts-speed-value");
+    speedInput.addEventListener("input", () => {
+      speedValue.textContent = `${Number(speedInput.value).toFixed(1)}x`;
+    });
+
+    // Volume applies immediately, even mid-sentence
+    const volumeInput = document.getElementById("tts-volume");
+    const volumeValue = document.getElementById("tts-volume-value");
+    volumeInput.addEventListener("input", () => {
+      const volume = Number(volumeInput.value);
+      volumeValue.textContent = `${Math.round(volume * 100)}%`;
+      this.audioPlayer.setVolume(volume);
+    });
+    this.audioPlayer.setVolume(Number(volumeInput.value));
+
+    // How many chunks the worker may generate ahead of playback
+    const bufferInput = document.getElementById("tts-buffer-size");
+    const bufferValue = document.getElementById("tts-buffer-size-value");
+    bufferInput.value = Number(localStorage.getItem(BUFFER_SIZE_KEY)) || DEFAULT_BUFFER_SIZE;
+    bufferValue.textContent = bufferInput.value;
+    bufferInput.addEventListener("input", () => {
+      bufferValue.textContent = bufferInput.value;
+      localStorage.setItem(BUFFER_SIZE_KEY, bufferInput.value);
+      this.setMaxQueueSize(Number(bufferInput.value));
+    });
+  }
+
+  // Send the saved settings once the worker is listening
+  configureWorker() {
+    this.setMaxQueueSize(Number(localStorage.getItem(BUFFER_SIZE_KEY)) || DEFAULT_BUFFER_SIZE);
+  }
+
+  setMaxQueueSize(maxQueueSize) {
+    this.ttsClient.configure({ maxQueueSize });
+  }
+
+  getSpeed() {
+    const speed = Number(document.getElementById("tts-speed").value);
+    return Number.isFinite(speed) && speed > 0 ? speed : 1;
   }
 
   showButtonContent(button, contentType) {
@@ -76,10 +134,7 @@ export class TTSButtonHandler {
 
   async handleSpeakButtonClick() {
     if (this.isProcessing) {
-      // Stop current processing
-      this.mode = "none";
-      this.isProcessing = false;
-      this.audioPlayer.stop();
+      this.stop();
       updateProgress(100, "Speech stopped");
       setTimeout(() => {
         this.enableButton();
@@ -87,7 +142,9 @@ export class TTSButtonHandler {
       return;
     }
 
-    const text = document.getElementById("tts-text").value.trim();
+    const { text, cues } = parsePerformanceTags(
+      document.getElementById("tts-text").value
+    );
     if (!text) {
       alert("Please enter text to speak");
       return;
@@ -98,41 +155,150 @@ export class TTSButtonHandler {
       return;
     }
 
+    this.startSpeech(text, this.voiceSelector.getSelectedVoice(), cues);
+  }
+
+  // Stop current processing; the rest of the request is dropped
+  stop() {
+    this.mode = "none";
+    this.isProcessing = false;
+    this.currentRequest = null;
+    this.audioPlayer.stop();
+  }
+
+  // Speak a short phrase with the given voice; works without a Live2D model.
+  // Previews jump ahead of queued worker jobs.
+  previewVoice(text, voice) {
+    if (this.isProcessing) return;
+    this.startSpeech(text, voice, [], { priority: 1 });
+  }
+
+  async startSpeech(text, voice, cues = [], { priority = 0 } = {}) {
+    // Unlock audio while we still have the user gesture
+    this.audioPlayer.ensureAudioContext();
+
     this.setLoadingState();
     this.mode = "live2d";
     this.isProcessing = true;
 
+    const speed = this.getSpeed();
+    const request = { text, voice, speed, speech: null };
+    this.currentRequest = request;
     try {
       updateProgress(0, "Initializing speech generation...");
 
-      // Set estimated chunks based on text length
-      this.audioPlayer.setTotalChunks(Math.ceil(text.length / 300));
       this.audioPlayer.reset();
+      this.audioPlayer.setJobId(null);
+      this.audioPlayer.setPerformanceCues(cues);
+      this.audioPlayer.setUtteranceInfo({ text, voice, speed });
+
+      // Lines we have spoken before play straight from the cache
+      const cached = await this.utteranceCache?.get({ text, voice, speed });
+      if (this.currentRequest !== request) return; // Stopped while looking up
+
+      let chunks;
+      if (cached) {
+        console.log("Playing cached speech:", cached.key);
+        chunks = cached.chunks.map((chunk) => ({ ...chunk, audio: new Float32Array(chunk.audio) }));
+      } else {
+        // Set a timeout for the entire process - only for complete failure
+        this.currentTimeoutId = setTimeout(() => {
+          if (this.isProcessing && this.mode === "live2d") {
+            console.log("TTS timeout reached - Kokoro model failed to respond");
+            this.onError(
+              "Kokoro TTS failed to generate audio. Model may not be loaded properly."
+            );
+          }
+        }, 160000); // Increased timeout to 160 seconds
 
-      // Set a timeout for the entire process (30 seconds) - only for complete failure
-      this.currentTimeoutId = setTimeout(() => {
-        if (this.isProcessing && this.mode === "live2d") {
-          console.log("TTS timeout reached - Kokoro model failed to respond");
-          this.onError(
-            "Kokoro TTS failed to generate audio. Model may not be loaded properly."
-          );
+        request.speech = this.ttsClient.speak(text, { voice, speed, priority });
+        request.speech.addEventListener("progress", (e) => {
+          if (this.currentRequest === request) this.showGenerationProgress(e.detail);
+        });
+        this.audioPlayer.setJobId(request.speech.id);
+        chunks = request.speech;
+      }
+
+      const generated = [];
+      let queued = 0;
+      for await (const chunk of chunks) {
+        if (this.currentRequest !== request) break;
+        this.updateToStopState();
+        queued++;
+        if (cached) {
+          updateProgress((queued / cached.chunks.length) * 99, "Speaking from cache...");
+        } else {
+          generated.push({ ...chunk, audio: chunk.audio.buffer });
         }
-      }, 160000); // Increased timeout to 160 seconds
-
-      // Send text to worker for processing
-      this.worker.postMessage({
-        type: "generate",
-        text: text,
-        voice: "af_nicole", // Default voice
-      });
+        await this.audioPlayer.queueAudio(chunk.audio, chunk);
+      }
+      if (this.currentRequest !== request) return;
+
+      // A cancelled request (e.g. a worker restart) ends early; its partial audio is not the line
+      if (!cached && !request.speech.cancelled && generated.length > 0) {
+        this.saveToCache(request, generated);
+      }
+      await this.finishSpeech(request);
     } catch (error) {
-      console.error("Error starting speech generation:", error);
-      updateProgress(100, "Error starting speech generation!");
-      this.enableButton();
-      this.isProcessing = false;
+      console.error("Error during speech generation:", error);
+      if (this.currentRequest === request) {
+        this.onError(error.message);
+      }
     }
   }
 
+  /**
+   * Show how far the worker is through the request, using its real chunk count.
+   * @param {import("./TTSClient.js").SpeechProgress} progress
+   */
+  showGenerationProgress({ completed, total, text, lastChunkTime, remainingTime }) {
+    if (!total) return;
+    const percent = (completed / total) * 99;
+
+    if (completed >= total) {
+      updateProgress(percent, "Speaking...");
+      return;
+    }
+    if (!text) {
+      // Waiting for playback to free buffer space
+      updateProgress(percent, `Speaking... (${completed}/${total} chunks generated)`);
+      return;
+    }
+
+    let message = `Generating ${completed + 1}/${total}`;
+    if (lastChunkTime !== null) message += ` · ${(lastChunkTime / 1000).toFixed(1)}s last chunk`;
+    if (remainingTime !== null) message += ` · ~${Math.ceil(remainingTime / 1000)}s left`;
+    const sentence = text.length > 60 ? `${text.slice(0, 57)}...` : text;
+    updateProgress(percent, `${message}: "${sentence}"`);
+  }
+
+  // Every chunk is queued; wait for the last one to be heard
+  async finishSpeech(request) {
+    try {
+      updateProgress(99, "Finishing speech...");
+      await this.audioPlayer.waitForPlaybackEnd();
+      if (this.currentRequest !== request) return; // Stopped during playback
+
+      this.onSpeechFinished?.();
+      updateProgress(100, "Speech completed successfully!");
+    } catch (error) {
+      console.error("Error during Live2D playback:", error);
+      updateProgress(100, "Error during speech playback!");
+    } finally {
+      if (this.currentRequest === request) {
+        this.onComplete();
+      }
+    }
+  }
+
+  saveToCache({ text, voice, speed }, chunks) {
+    if (!this.utteranceCache) return;
+    this.utteranceCache
+      .put({ text, voice, speed }, chunks)
+      .then(() => this.onCacheUpdated?.())
+      .catch((error) => console.warn("Unable to cache speech:", error));
+  }
+
   // This method is removed - no more browser TTS fallback
   // Kokoro TTS should be the only audio generation method
 
@@ -169,6 +335,7 @@ export class TTSButtonHandler {
 
     this.isProcessing = false;
     this.mode = "none";
+    this.currentRequest = null;
     this.enableButton();
   }
 
@@ -182,6 +349,10 @@ export class TTSButtonHandler {
       this.currentTimeoutId = null;
     }
 
+    // Drop whatever is left of the request in the worker
+    this.currentRequest?.speech?.cancel();
+    this.currentRequest = null;
+
     this.isProcessing = false;
     this.mode = "none";
     updateProgress(100, `Speech generation failed: ${error}`);
@@ -0,0 +1,333 @@
+import { createRequest, validateEvent } from "./tts-protocol.js";
+
+/**
+ * @typedef {Object} SpeechChunk
+ * @property {Float32Array} audio Mono samples at 24 kHz
+ * @property {string} text The text this chunk speaks ("" for SSML breaks)
+ * @property {{time: number, viseme: string}[]} visemes
+ * @property {{text: string, start: number, end: number}[]} words
+ * @property {"model"|"estimated"} timing
+ */
+
+/**
+ * @typedef {Object} SpeechProgress
+ * @property {number} completed Chunks generated so far
+ * @property {number|null} total Chunks in the request, once the worker has split the text
+ * @property {string|null} text The sentence being synthesized right now, if any
+ * @property {number|null} lastChunkTime Milliseconds the last chunk took to generate
+ * @property {number|null} remainingTime Estimated milliseconds of generation left
+ */
+
+/**
+ * Promise-based wrapper around the TTS worker protocol, free of any DOM or Live2D code.
+ *
+ * Events (dispatched as CustomEvents, payload in `detail`): `loading` ({device}),
+ * `progress` (transformers.js progress info), `ready` ({voices, device, dtype, loadTime}),
+ * `fallback` ({from, to, reason}) when the worker gives up on the GPU and reloads the
+ * model (followed by `loading`, `progress` and `ready` again) and `error` ({error}) for
+ * failures that do not belong to a speech request.
+ *
+ *   const client = new TTSClient(worker, { device: "webgpu", dtype: "fp32" });
+ *   await client.ready();
+ *   for await (const chunk of client.speak("Hello!", { voice: "af_bella" })) { ... }
+ */
+export class TTSClient extends EventTarget {
+  /**
+   * @param {Worker} worker A tts-worker.js worker
+   * @param {Object} [options] Model settings; left out means "auto"
+   * @param {"webgpu"|"wasm"} [options.device] Falls back to wasm when WebGPU is unavailable
+   * @param {"fp32"|"fp16"|"q8"|"q4"|"q4f16"} [options.dtype] Defaults to fp32 on WebGPU, q8 on WASM
+   * @param {string} [options.modelUrl] Absolute URL of a Kokoro ONNX model folder to load instead
+   *   of downloading from the Hugging Face Hub
+   * @param {string} [options.voicesUrl] Absolute URL of the voice .bin folder (default: <modelUrl>/voices)
+   * @param {string} [options.wasmUrl] Absolute URL of the onnxruntime-web WASM files (default: CDN)
+   */
+  constructor(worker, options = {}) {
+    super();
+    this.nextId = 1;
+    this.speeches = new Map();
+    this.customVoices = {};
+
+    this.handleMessage = this.handleMessage.bind(this);
+    this.handleWorkerError = this.handleWorkerError.bind(this);
+    this.attach(worker, options);
+  }
+
+  /**
+   * Resolves once the model is loaded. `loadTime` is in milliseconds.
+   * @returns {Promise<{voices: Object, device: string, dtype: string, loadTime: number}>}
+   */
+  ready() {
+    return this.readyPromise;
+  }
+
+  /**
+   * Switch to a new worker, e.g. to load the model with other settings. The old worker is
+   * terminated and requests still running on it end as cancelled.
+   * @param {Worker} worker
+   * @param {Object} [options] As for the constructor
+   */
+  restart(worker, options = {}) {
+    this.worker.removeEventListener("message", this.handleMessage);
+    this.worker.removeEventListener("error", this.handleWorkerError);
+    this.worker.terminate();
+    for (const speech of [...this.speeches.values()]) {
+      speech.handleEvent({ status: "cancelled" });
+    }
+    this.attach(worker, options);
+  }
+
+  attach(worker, { device, dtype, modelUrl, voicesUrl, wasmUrl }) {
+    this.worker = worker;
+    this.info = null;
+    this.readyPromise = new Promise((resolve, reject) => {
+      this.resolveReady = resolve;
+      this.rejectReady = reject;
+    });
+    // Avoid unhandled rejections when nobody awaits ready()
+    this.readyPromise.catch(() => {});
+
+    worker.addEventListener("message", this.handleMessage);
+    worker.addEventListener("error", this.handleWorkerError);
+    this.loadStarted = performance.now();
+    this.post(createRequest("load", { device, dtype, modelUrl, voicesUrl, wasmUrl }));
+    this.post(createRequest("set_custom_voices", { voices: this.customVoices }));
+  }
+
+  /**
+   * Queue text for synthesis. Iterate the result for audio chunks as they are generated;
+   * iteration ends when the request completes or is cancelled, and throws on errors.
+   * @param {string} text Plain text or SSML
+   * @param {Object} [options]
+   * @param {string} [options.voice]
+   * @param {number} [options.speed]
+   * @param {number} [options.priority=0] Higher runs first among queued requests
+   * @returns {Speech}
+   */
+  speak(text, { voice, speed, priority = 0 } = {}) {
+    const id = this.nextId++;
+    const speech = new Speech(this, id);
+    this.speeches.set(id, speech);
+    this.post(createRequest("generate", { id, text, voice, speed, priority }));
+    return speech;
+  }
+
+  cancel(id) {
+    this.post(createRequest("cancel", { id }));
+  }
+
+  /** Whether any speak() request is still queued or generating in the worker. */
+  get busy() {
+    return this.speeches.size > 0;
+  }
+
+  cancelAll() {
+    this.post(createRequest("stop"));
+  }
+
+  /**
+   * Tell the worker how many chunks of a request have been played, freeing buffer credit.
+   * @param {number} id
+   * @param {number} played Running total for the request
+   */
+  acknowledge(id, played) {
+    this.post(createRequest("buffer_processed", { id, played }));
+  }
+
+  /**
+   * Register imported voices with the worker; kept across restarts.
+   * @param {Object<string, {name: string, language: string, gender: string}>} voices Keyed by voice id,
+   *   with style tables stored under `getCustomVoiceUrl(id)` in the custom voice cache
+   */
+  setCustomVoices(voices) {
+    this.customVoices = { ...voices };
+    this.post(createRequest("set_custom_voices", { voices: this.customVoices }));
+  }
+
+  configure({ maxQueueSize }) {
+    this.post(createRequest("configure", { maxQueueSize }));
+  }
+
+  post(message) {
+    this.worker.postMessage(message);
+  }
+
+  handleWorkerError(e) {
+    this.fail(e.message || "Unknown worker error");
+  }
+
+  handleMessage(e) {
+    const problem = validateEvent(e.data);
+    if (problem) {
+      console.error("Ignoring invalid TTS worker message:", problem, e.data);
+      return;
+    }
+
+    const { status, id } = e.data;
+    if (id !== undefined) {
+      this.speeches.get(id)?.handleEvent(e.data);
+      return;
+    }
+
+    switch (status) {
+      case "loading_model_start":
+        this.emit("loading", { device: e.data.device });
+        break;
+      case "loading_model_progress":
+        this.emit("progress", e.data.progress);
+        break;
+      case "device_fallback": {
+        const { from, to, reason } = e.data;
+        this.loadStarted = performance.now();
+        this.emit("fallback", { from, to, reason });
+        break;
+      }
+      case "loading_model_ready": {
+        const { voices, device, dtype } = e.data;
+        this.info = { voices, device, dtype, loadTime: performance.now() - this.loadStarted };
+        this.resolveReady(this.info);
+        this.emit("ready", this.info);
+        break;
+      }
+      case "error":
+        this.fail(e.data.error);
+        break;
+    }
+  }
+
+  fail(error) {
+    if (!this.info) {
+      this.rejectReady(new Error(error));
+    }
+    this.emit("error", { error });
+  }
+
+  emit(type, detail) {
+    this.dispatchEvent(new CustomEvent(type, { detail }));
+  }
+}
+
+// One speak() request: an async iterator of SpeechChunks. Dispatches a `progress`
+// CustomEvent (a SpeechProgress in `detail`) as the worker starts and finishes chunks.
+class Speech extends EventTarget {
+  constructor(client, id) {
+    super();
+    this.client = client;
+    this.id = id;
+    this.chunkCount = null;
+    this.chunkTexts = [];
+    this.generatedChunks = 0;
+    this.currentText = null;
+    this.lastChunkTime = null;
+    // Generation speed so far, for the time estimate
+    this.generationTime = 0;
+    this.generatedChars = 0;
+    this.chunks = [];
+    this.finished = false;
+    this.cancelled = false;
+    this.error = null;
+    this.wake = null;
+  }
+
+  handleEvent(message) {
+    switch (message.status) {
+      case "chunk_count":
+        this.chunkCount = message.count;
+        this.chunkTexts = message.texts ?? [];
+        this.emitProgress();
+        return;
+      case "chunk_start":
+        this.currentText = message.text;
+        this.emitProgress();
+        return;
+      case "stream_audio_data": {
+        const { audio, text, visemes, words, timing, generationTime } = message;
+        this.chunks.push({ audio: new Float32Array(audio), text, visemes, words, timing });
+        this.generatedChunks++;
+        this.currentText = null;
+        if (text && generationTime !== undefined) {
+          this.lastChunkTime = generationTime;
+          this.generationTime += generationTime;
+          this.generatedChars += text.length;
+        }
+        this.emitProgress();
+        break;
+      }
+      case "complete":
+        this.finish();
+        break;
+      case "cancelled":
+        this.cancelled = true;
+        this.finish();
+        break;
+      case "error":
+        this.error = new Error(message.error);
+        this.finish();
+        break;
+    }
+    this.wake?.();
+  }
+
+  /** @returns {SpeechProgress} */
+  getProgress() {
+    let remainingTime = null;
+    if (this.generatedChars > 0 && this.chunkTexts.length > 0) {
+      const remainingChars = this.chunkTexts
+        .slice(this.generatedChunks)
+        .reduce((sum, text) => sum + text.length, 0);
+      remainingTime = (this.generationTime / this.generatedChars) * remainingChars;
+    }
+    return {
+      completed: this.generatedChunks,
+      total: this.chunkCount,
+      text: this.currentText,
+      lastChunkTime: this.lastChunkTime,
+      remainingTime,
+    };
+  }
+
+  emitProgress() {
+    this.dispatchEvent(new CustomEvent("progress", { detail: this.getProgress() }));
+  }
+
+  finish() {
+    this.finished = true;
+    this.client.speeches.delete(this.id);
+  }
+
+  cancel() {
+    if (!this.finished) {
+      this.client.cancel(this.id);
+    }
+  }
+
+  async next() {
+    while (this.chunks.length === 0 && !this.finished) {
+      await new Promise((resolve) => {
+        this.wake = resolve;
+      });
+      this.wake = null;
+    }
+    if (this.chunks.length > 0) {
+      return { value: this.chunks.shift(), done: false };
+    }
+    if (this.error) {
+      const error = this.error;
+      this.error = null;
+      throw error;
+    }
+    return { value: undefined, done: true };
+  }
+
+  // Leaving a for-await loop early cancels the request
+  async return() {
+    this.cancel();
+    this.finish();
+    this.chunks = [];
+    return { value: undefined, done: true };
+  }
+
+  [Symbol.asyncIterator]() {
+    return this;
+  }
+}
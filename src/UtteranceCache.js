@@ -0,0 +1,204 @@
+const DB_NAME = "vtubergame-tts-cache";
+const DB_VERSION = 1;
+const STORE = "utterances";
+const LIMIT_KEY = "vtubergame:tts-cache-limit";
+const DEFAULT_LIMIT_MB = 100;
+
+/**
+ * @typedef {Object} CachedChunk
+ * @property {ArrayBuffer} audio Float32 samples at 24 kHz
+ * @property {string} text
+ * @property {{time: number, viseme: string}[]} visemes
+ * @property {{text: string, start: number, end: number}[]} words
+ * @property {"model"|"estimated"} timing
+ *
+ * @typedef {Object} CachedUtterance
+ * @property {string} key
+ * @property {string} text
+ * @property {string} voice
+ * @property {number} speed
+ * @property {string} dtype
+ * @property {CachedChunk[]} chunks
+ * @property {number} size Audio bytes
+ * @property {number} createdAt
+ * @property {number} lastUsed
+ */
+
+/**
+ * Generated speech stored in IndexedDB, keyed by a hash of the normalized text, voice,
+ * speed and model dtype. Least recently used entries are evicted past the size limit.
+ */
+export class UtteranceCache {
+  constructor() {
+    this.dbPromise = null;
+    this.dtype = null;
+    this.limitBytes = this.loadLimitMB() * 1024 * 1024;
+  }
+
+  // The worker reports its dtype once the model is loaded; q8 and fp32 sound different
+  setDtype(dtype) {
+    this.dtype = dtype;
+  }
+
+  loadLimitMB() {
+    const stored = Number(localStorage.getItem(LIMIT_KEY));
+    return stored > 0 ? stored : DEFAULT_LIMIT_MB;
+  }
+
+  getLimitMB() {
+    return this.limitBytes / 1024 / 1024;
+  }
+
+  async setLimitMB(megabytes) {
+    if (!(megabytes > 0)) return;
+    this.limitBytes = megabytes * 1024 * 1024;
+    localStorage.setItem(LIMIT_KEY, String(megabytes));
+    await this.evict();
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = new Promise((resolve, reject) => {
+        const request = indexedDB.open(DB_NAME, DB_VERSION);
+        request.onupgradeneeded = () => {
+          const store = request.result.createObjectStore(STORE, { keyPath: "key" });
+          store.createIndex("lastUsed", "lastUsed");
+        };
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+      }).catch((error) => {
+        this.dbPromise = null;
+        throw error;
+      });
+    }
+    return this.dbPromise;
+  }
+
+  /**
+   * @param {{text: string, voice: string, speed: number}} request
+   * @returns {Promise<string>}
+   */
+  async createKey({ text, voice, speed }) {
+    const normalized = text.normalize("NFC").replace(/\s+/g, " ").trim();
+    const data = new TextEncoder().encode(
+      JSON.stringify([normalized, voice, Number(speed).toFixed(2), this.dtype])
+    );
+    const digest = await crypto.subtle.digest("SHA-256", data);
+    return [...new Uint8Array(digest)].map((byte) => byte.toString(16).padStart(2, "0")).join("");
+  }
+
+  /**
+   * Look up a cached utterance and mark it as recently used.
+   * @returns {Promise<CachedUtterance|null>}
+   */
+  async get(request) {
+    try {
+      const key = await this.createKey(request);
+      const db = await this.open();
+      const entry = await promisify(db.transaction(STORE).objectStore(STORE).get(key));
+      if (!entry) return null;
+
+      entry.lastUsed = Date.now();
+      await promisify(db.transaction(STORE, "readwrite").objectStore(STORE).put(entry));
+      return entry;
+    } catch (error) {
+      console.warn("Speech cache lookup failed:", error);
+      return null;
+    }
+  }
+
+  /**
+   * @param {{text: string, voice: string, speed: number}} request
+   * @param {CachedChunk[]} chunks
+   */
+  async put(request, chunks) {
+    const size = chunks.reduce((sum, chunk) => sum + chunk.audio.byteLength, 0);
+    if (size === 0 || size > this.limitBytes) return;
+
+    try {
+      const now = Date.now();
+      const entry = {
+        key: await this.createKey(request),
+        text: request.text,
+        voice: request.voice,
+        speed: request.speed,
+        dtype: this.dtype,
+        chunks,
+        size,
+        createdAt: now,
+        lastUsed: now,
+      };
+      const db = await this.open();
+      await promisify(db.transaction(STORE, "readwrite").objectStore(STORE).put(entry));
+      await this.evict();
+    } catch (error) {
+      console.warn("Unable to cache speech:", error);
+    }
+  }
+
+  // Drop least recently used entries until the cache fits its limit
+  async evict() {
+    const entries = await this.list();
+    let total = entries.reduce((sum, entry) => sum + entry.size, 0);
+    const oldestFirst = [...entries].sort((a, b) => a.lastUsed - b.lastUsed);
+    for (const entry of oldestFirst) {
+      if (total <= this.limitBytes) break;
+      await this.delete(entry.key);
+      total -= entry.size;
+    }
+  }
+
+  /**
+   * Summaries of every cached utterance, most recently used first (without audio).
+   * @returns {Promise<Omit<CachedUtterance, "chunks">[]>}
+   */
+  async list() {
+    const db = await this.open();
+    const entries = [];
+    await new Promise((resolve, reject) => {
+      const request = db.transaction(STORE).objectStore(STORE).index("lastUsed").openCursor(null, "prev");
+      request.onsuccess = () => {
+        const cursor = request.result;
+        if (!cursor) return resolve();
+        const { chunks, ...summary } = cursor.value;
+        entries.push(summary);
+        cursor.continue();
+      };
+      request.onerror = () => reject(request.error);
+    });
+    return entries;
+  }
+
+  async delete(key) {
+    const db = await this.open();
+    await promisify(db.transaction(STORE, "readwrite").objectStore(STORE).delete(key));
+  }
+
+  /**
+   * Drop every utterance spoken with a voice, alone or in a blend, e.g. when an imported
+   * voice is replaced or removed: the key only knows the voice id, not its style data.
+   * @param {string} voice
+   */
+  async deleteVoice(voice) {
+    try {
+      for (const entry of await this.list()) {
+        const ids = entry.voice.split(",").map((part) => part.split(":")[0].trim());
+        if (ids.includes(voice)) await this.delete(entry.key);
+      }
+    } catch (error) {
+      console.warn(`Unable to drop cached speech for voice ${voice}:`, error);
+    }
+  }
+
+  async clear() {
+    const db = await this.open();
+    await promisify(db.transaction(STORE, "readwrite").objectStore(STORE).clear());
+  }
+}
+
+function promisify(request) {
+  return new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
@@ -0,0 +1,100 @@
+// Lists cached speech in the TTS panel and lets the user delete entries, clear
+// everything or change the size limit.
+export class UtteranceCachePanel {
+  constructor(cache) {
+    this.cache = cache;
+    this.handleClearClick = this.handleClearClick.bind(this);
+    this.handleLimitChange = this.handleLimitChange.bind(this);
+  }
+
+  init() {
+    this.panel = document.getElementById("tts-cache-panel");
+    this.stats = document.getElementById("tts-cache-stats");
+    this.list = document.getElementById("tts-cache-list");
+    this.limitInput = document.getElementById("tts-cache-limit");
+    this.clearBtn = document.getElementById("tts-cache-clear");
+
+    this.limitInput.value = this.cache.getLimitMB();
+    this.limitInput.addEventListener("change", this.handleLimitChange);
+    this.clearBtn.addEventListener("click", this.handleClearClick);
+    // Only read the database when someone looks at it
+    this.panel.addEventListener("toggle", () => {
+      if (this.panel.open) this.refresh();
+    });
+  }
+
+  async refresh() {
+    if (!this.panel?.open) return;
+
+    let entries;
+    try {
+      entries = await this.cache.list();
+    } catch (error) {
+      console.warn("Unable to read the speech cache:", error);
+      this.stats.textContent = "Speech cache unavailable";
+      return;
+    }
+
+    const totalBytes = entries.reduce((sum, entry) => sum + entry.size, 0);
+    this.stats.textContent = `${entries.length} lines, ${formatMB(totalBytes)} of ${this.cache.getLimitMB()} MB`;
+    this.clearBtn.disabled = entries.length === 0;
+
+    this.list.replaceChildren(
+      ...entries.map((entry) => {
+        const item = document.createElement("li");
+
+        const label = document.createElement("span");
+        label.className = "tts-cache-text";
+        label.textContent = entry.text;
+        label.title = `${entry.text}\n${entry.voice} · ${entry.speed}x · ${entry.dtype} · ${formatMB(entry.size)}\nLast used ${new Date(entry.lastUsed).toLocaleString()}`;
+
+        const meta = document.createElement("span");
+        meta.className = "tts-cache-meta";
+        meta.textContent = `${entry.voice} · ${formatMB(entry.size)}`;
+
+        const deleteBtn = document.createElement("button");
+        deleteBtn.textContent = "✕";
+        deleteBtn.title = "Remove from cache";
+        deleteBtn.addEventListener("click", () => this.run(() => this.cache.delete(entry.key)));
+
+        item.append(label, meta, deleteBtn);
+        return item;
+      })
+    );
+  }
+
+  async handleLimitChange() {
+    await this.run(async () => {
+      try {
+        await this.cache.setLimitMB(Number(this.limitInput.value));
+      } finally {
+        this.limitInput.value = this.cache.getLimitMB();
+      }
+    });
+  }
+
+  async handleClearClick() {
+    if (!confirm("Remove all cached speech?")) return;
+    await this.run(() => this.cache.clear());
+  }
+
+  // Run a database operation, then show the result, or what went wrong
+  async run(task) {
+    let failure = null;
+    try {
+      await task();
+    } catch (error) {
+      console.error("Speech cache operation failed:", error);
+      failure = error;
+    }
+    await this.refresh();
+    // After the refresh, which would overwrite it
+    if (failure) {
+      this.stats.textContent = `Failed: ${failure.message}`;
+    }
+  }
+}
+
+function formatMB(bytes) {
+  return `${(bytes / 1024 / 1024).toFixed(1)} MB`;
+}
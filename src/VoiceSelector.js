@@ -0,0 +1,325 @@
+import { getCustomVoices, parseVoiceBlend } from "./voices.js";
+import { deleteCustomVoice, importCustomVoice } from "./custom-voices.js";
+
+const DEFAULT_VOICE = "af_nicole";
+const STORAGE_PREFIX = "vtubergame:voice:";
+const BLENDS_STORAGE_KEY = "vtubergame:voice-blends";
+const PREVIEW_PHRASE = "Hi there! This is how I sound.";
+
+// Letter grades from the Kokoro voice table, mapped so "B-" < "B" < "B+"
+const GRADE_VALUES = { A: 12, B: 9, C: 6, D: 3, F: 0 };
+
+export function gradeToNumber(grade) {
+  if (!grade) return -1;
+  const base = GRADE_VALUES[grade.at(0)] ?? -1;
+  if (grade.endsWith("+")) return base + 1;
+  if (grade.endsWith("-")) return base - 1;
+  return base;
+}
+
+function blendUsesVoice(spec, voiceId) {
+  return spec.split(",").some((part) => part.split(":")[0].trim() === voiceId);
+}
+
+export class VoiceSelector {
+  constructor() {
+    this.voices = {};
+    this.blends = this.loadBlends();
+    this.modelKey = null;
+    this.onCustomVoicesChanged = null;
+
+    this.handleFilterChange = this.handleFilterChange.bind(this);
+    this.handleVoiceChange = this.handleVoiceChange.bind(this);
+  }
+
+  // `onCustomVoicesChanged(voices, id)` registers imported voices with the TTS worker
+  // after voice `id` was imported or deleted
+  init({ onPreview, onCustomVoicesChanged } = {}) {
+    this.onCustomVoicesChanged = onCustomVoicesChanged;
+    this.select = document.getElementById("voice-select");
+    this.languageFilter = document.getElementById("voice-language-filter");
+    this.genderFilter = document.getElementById("voice-gender-filter");
+    this.gradeFilter = document.getElementById("voice-grade-filter");
+    this.previewBtn = document.getElementById("voice-preview-btn");
+
+    this.languageFilter.addEventListener("change", this.handleFilterChange);
+    this.genderFilter.addEventListener("change", this.handleFilterChange);
+    this.gradeFilter.addEventListener("change", this.handleFilterChange);
+    this.select.addEventListener("change", this.handleVoiceChange);
+    this.previewBtn.addEventListener("click", () => {
+      onPreview?.(PREVIEW_PHRASE, this.getSelectedVoice());
+    });
+
+    document
+      .getElementById("voice-blend-save")
+      .addEventListener("click", () => this.handleSaveBlend());
+    document
+      .getElementById("voice-blend-delete")
+      .addEventListener("click", () => this.handleDeleteBlend());
+    document
+      .getElementById("voice-import-save")
+      .addEventListener("click", () => this.handleImportVoice());
+    document
+      .getElementById("voice-import-delete")
+      .addEventListener("click", () => this.handleDeleteCustomVoice());
+  }
+
+  // Called with the `voices` catalog from the worker's loading_model_ready message
+  setVoices(voices) {
+    this.voices = voices || {};
+    this.populateLanguageFilter();
+    this.render();
+    this.select.disabled = false;
+    this.previewBtn.disabled = false;
+  }
+
+  // Switch the active Live2D model; restores that model's saved voice
+  setModel(modelKey) {
+    this.modelKey = modelKey;
+    this.render();
+  }
+
+  getSelectedVoice() {
+    return this.select?.value || this.getSavedVoice();
+  }
+
+  getSavedVoice() {
+    if (!this.modelKey) return DEFAULT_VOICE;
+    try {
+      return localStorage.getItem(STORAGE_PREFIX + this.modelKey) || DEFAULT_VOICE;
+    } catch (e) {
+      return DEFAULT_VOICE;
+    }
+  }
+
+  saveVoice(voiceId) {
+    if (!this.modelKey) return;
+    try {
+      localStorage.setItem(STORAGE_PREFIX + this.modelKey, voiceId);
+    } catch (e) {
+      console.warn("Unable to save voice selection", e);
+    }
+  }
+
+  // Every Live2D model that was set to one of `voiceIds` goes back to the default voice
+  resetSavedVoices(voiceIds) {
+    try {
+      for (const key of Object.keys(localStorage)) {
+        if (key.startsWith(STORAGE_PREFIX) && voiceIds.includes(localStorage.getItem(key))) {
+          localStorage.setItem(key, DEFAULT_VOICE);
+        }
+      }
+    } catch (e) {
+      console.warn("Unable to reset saved voices", e);
+    }
+  }
+
+  loadBlends() {
+    try {
+      return JSON.parse(localStorage.getItem(BLENDS_STORAGE_KEY)) || {};
+    } catch (e) {
+      return {};
+    }
+  }
+
+  saveBlends() {
+    try {
+      localStorage.setItem(BLENDS_STORAGE_KEY, JSON.stringify(this.blends));
+    } catch (e) {
+      console.warn("Unable to save voice blends", e);
+    }
+  }
+
+  // Normalizes the spec so equal blends share one cache entry in the worker
+  addBlend(name, spec) {
+    const components = parseVoiceBlend(spec);
+    const normalized = components
+      .map(({ voice, weight }) => `${voice}:${Number(weight.toFixed(3))}`)
+      .join(",");
+    this.blends[name] = normalized;
+    this.saveBlends();
+    return normalized;
+  }
+
+  removeBlend(name) {
+    delete this.blends[name];
+    this.saveBlends();
+  }
+
+  handleSaveBlend() {
+    const nameInput = document.getElementById("voice-blend-name");
+    const specInput = document.getElementById("voice-blend-spec");
+    const name = nameInput.value.trim();
+    const spec = specInput.value.trim();
+    if (!name || !spec) {
+      alert("Enter a name and a blend such as af_bella:0.6,bm_george:0.4");
+      return;
+    }
+
+    try {
+      const normalized = this.addBlend(name, spec);
+      this.saveVoice(normalized);
+      this.render();
+      this.select.value = normalized;
+      nameInput.value = "";
+      specInput.value = "";
+    } catch (error) {
+      alert(error.message);
+    }
+  }
+
+  handleDeleteBlend() {
+    const selected = this.select.value;
+    const name = Object.keys(this.blends).find((key) => this.blends[key] === selected);
+    if (!name) {
+      alert("Select a saved blend to delete");
+      return;
+    }
+    this.removeBlend(name);
+    this.saveVoice(DEFAULT_VOICE);
+    this.render();
+  }
+
+  async handleImportVoice() {
+    const fileInput = document.getElementById("voice-import-file");
+    const nameInput = document.getElementById("voice-import-name");
+    const file = fileInput.files[0];
+    if (!file || !nameInput.value.trim()) {
+      alert("Pick a Kokoro voice .bin file and give it a name");
+      return;
+    }
+
+    try {
+      const { id, voices } = await importCustomVoice(file, {
+        name: nameInput.value,
+        language: document.getElementById("voice-import-language").value,
+        gender: document.getElementById("voice-import-gender").value,
+      });
+      this.onCustomVoicesChanged?.(voices, id);
+      this.saveVoice(id);
+      this.render();
+      this.select.value = id;
+      fileInput.value = "";
+      nameInput.value = "";
+    } catch (error) {
+      console.error("Voice import failed:", error);
+      alert(error.message);
+    }
+  }
+
+  async handleDeleteCustomVoice() {
+    const selected = this.select.value;
+    if (!getCustomVoices().hasOwnProperty(selected)) {
+      alert("Select an imported voice to delete");
+      return;
+    }
+    try {
+      const voices = await deleteCustomVoice(selected);
+      this.onCustomVoicesChanged?.(voices, selected);
+
+      // Blends built on the voice can no longer be generated
+      const removed = [selected];
+      for (const [name, spec] of Object.entries(this.blends)) {
+        if (blendUsesVoice(spec, selected)) {
+          console.log(`Removing blend "${name}", which uses the deleted voice ${selected}`);
+          delete this.blends[name];
+          removed.push(spec);
+        }
+      }
+      this.saveBlends();
+      this.resetSavedVoices(removed);
+      this.render();
+    } catch (error) {
+      console.error("Deleting the voice failed:", error);
+      alert(error.message);
+    }
+  }
+
+  populateLanguageFilter() {
+    const languages = [...new Set(Object.values(this.voices).map((v) => v.language))];
+    this.languageFilter.innerHTML = '<option value="">All languages</option>';
+    for (const language of languages) {
+      const option = document.createElement("option");
+      option.value = language;
+      option.textContent = language;
+      this.languageFilter.appendChild(option);
+    }
+  }
+
+  getFilteredVoices() {
+    const language = this.languageFilter.value;
+    const gender = this.genderFilter.value;
+    const minGrade = gradeToNumber(this.gradeFilter.value);
+
+    return Object.entries(this.voices).filter(([, voice]) => {
+      if (language && voice.language !== language) return false;
+      if (gender && voice.gender !== gender) return false;
+      if (gradeToNumber(voice.overallGrade) < minGrade) return false;
+      return true;
+    });
+  }
+
+  render() {
+    if (!this.select) return;
+
+    const savedVoice = this.getSavedVoice();
+    const filtered = this.getFilteredVoices();
+
+    // Keep the saved voice visible even if the filters would hide it
+    if (this.voices[savedVoice] && !filtered.some(([id]) => id === savedVoice)) {
+      filtered.unshift([savedVoice, this.voices[savedVoice]]);
+    }
+
+    this.select.innerHTML = "";
+
+    const blendEntries = Object.entries(this.blends);
+    if (blendEntries.length > 0) {
+      const blendGroup = document.createElement("optgroup");
+      blendGroup.label = "Custom blends";
+      for (const [name, spec] of blendEntries) {
+        const option = document.createElement("option");
+        option.value = spec;
+        option.textContent = `${name} (${spec})`;
+        blendGroup.appendChild(option);
+      }
+      this.select.appendChild(blendGroup);
+    }
+
+    const customEntries = Object.entries(getCustomVoices());
+    if (customEntries.length > 0) {
+      const customGroup = document.createElement("optgroup");
+      customGroup.label = "Imported voices";
+      for (const [id, voice] of customEntries) {
+        const option = document.createElement("option");
+        option.value = id;
+        option.textContent = `${voice.name} ${voice.traits} (${voice.language}, ${voice.gender})`;
+        customGroup.appendChild(option);
+      }
+      this.select.appendChild(customGroup);
+    }
+
+    const builtInGroup = document.createElement("optgroup");
+    builtInGroup.label = "Built-in voices";
+    for (const [id, voice] of filtered) {
+      const option = document.createElement("option");
+      option.value = id;
+      const traits = voice.traits ? ` ${voice.traits}` : "";
+      option.textContent = `${voice.name}${traits} (${voice.language}, ${voice.gender}, ${voice.overallGrade})`;
+      builtInGroup.appendChild(option);
+    }
+    this.select.appendChild(builtInGroup);
+
+    const available = [...this.select.options].map((option) => option.value);
+    if (available.includes(savedVoice)) {
+      this.select.value = savedVoice;
+    }
+  }
+
+  handleFilterChange() {
+    this.render();
+  }
+
+  handleVoiceChange() {
+    this.saveVoice(this.select.value);
+  }
+}
@@ -0,0 +1,429 @@
+// Encoders for saving generated speech: 16-bit WAV with a RIFF INFO chunk, and
+// Opus in WebM or Ogg through MediaRecorder with the metadata patched in afterwards.
+
+/**
+ * @typedef {Object} AudioMetadata
+ * @property {string} [text] What was spoken
+ * @property {string} [voice]
+ * @property {number} [speed]
+ * @property {string} [software]
+ */
+
+export const COMPRESSED_FORMATS = Object.freeze({
+  webm: { extension: "webm", mimeType: "audio/webm;codecs=opus" },
+  ogg: { extension: "ogg", mimeType: "audio/ogg;codecs=opus" },
+});
+
+const textEncoder = new TextEncoder();
+
+/**
+ * Join audio chunks into one buffer.
+ * @param {Float32Array[]} chunks
+ * @returns {Float32Array}
+ */
+export function concatAudio(chunks) {
+  const totalLength = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const combined = new Float32Array(totalLength);
+  let offset = 0;
+  for (const chunk of chunks) {
+    combined.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return combined;
+}
+
+/**
+ * Encode mono float samples as a 16-bit PCM WAV file.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {AudioMetadata} [metadata] Written as a LIST/INFO chunk after the audio
+ * @returns {Blob}
+ */
+export function encodeWav(samples, sampleRate, metadata = null) {
+  const info = metadata ? buildInfoChunk(metadata) : new Uint8Array(0);
+  const dataSize = samples.length * 2;
+  const buffer = new ArrayBuffer(44 + dataSize);
+  const view = new DataView(buffer);
+
+  const writeString = (offset, string) => {
+    for (let i = 0; i < string.length; i++) {
+      view.setUint8(offset + i, string.charCodeAt(i));
+    }
+  };
+
+  writeString(0, "RIFF");
+  view.setUint32(4, 36 + dataSize + info.length, true);
+  writeString(8, "WAVE");
+  writeString(12, "fmt ");
+  view.setUint32(16, 16, true);
+  view.setUint16(20, 1, true); // PCM
+  view.setUint16(22, 1, true); // Mono
+  view.setUint32(24, sampleRate, true);
+  view.setUint32(28, sampleRate * 2, true);
+  view.setUint16(32, 2, true);
+  view.setUint16(34, 16, true);
+  writeString(36, "data");
+  view.setUint32(40, dataSize, true);
+
+  let offset = 44;
+  for (let i = 0; i < samples.length; i++) {
+    const sample = Math.max(-1, Math.min(1, samples[i]));
+    view.setInt16(offset, sample * 0x7fff, true);
+    offset += 2;
+  }
+
+  return new Blob([buffer, info], { type: "audio/wav" });
+}
+
+function buildInfoChunk({ text, voice, speed, software }) {
+  const fields = [
+    ["INAM", text],
+    ["ICMT", describeVoice(voice, speed)],
+    ["ISFT", software],
+  ].filter(([, value]) => value);
+
+  const subChunks = fields.map(([id, value]) => {
+    // Null-terminated, padded to an even length
+    const bytes = textEncoder.encode(value);
+    const size = bytes.length + 1;
+    const chunk = new Uint8Array(8 + size + (size % 2));
+    const view = new DataView(chunk.buffer);
+    chunk.set(textEncoder.encode(id), 0);
+    view.setUint32(4, size, true);
+    chunk.set(bytes, 8);
+    return chunk;
+  });
+
+  const listSize = 4 + subChunks.reduce((sum, chunk) => sum + chunk.length, 0);
+  const list = new Uint8Array(8 + listSize);
+  const view = new DataView(list.buffer);
+  list.set(textEncoder.encode("LIST"), 0);
+  view.setUint32(4, listSize, true);
+  list.set(textEncoder.encode("INFO"), 8);
+  let offset = 12;
+  for (const chunk of subChunks) {
+    list.set(chunk, offset);
+    offset += chunk.length;
+  }
+  return list;
+}
+
+function describeVoice(voice, speed) {
+  const parts = [];
+  if (voice) parts.push(`voice: ${voice}`);
+  if (speed !== undefined) parts.push(`speed: ${speed}`);
+  return parts.join(", ");
+}
+
+/**
+ * Check which compressed formats this browser can record.
+ * @param {keyof typeof COMPRESSED_FORMATS} format
+ * @returns {boolean}
+ */
+export function isCompressedFormatSupported(format) {
+  const { mimeType } = COMPRESSED_FORMATS[format] || {};
+  return Boolean(mimeType) && typeof MediaRecorder !== "undefined" && MediaRecorder.isTypeSupported(mimeType);
+}
+
+/**
+ * Encode samples as Opus through MediaRecorder. Recording runs in real time on a
+ * silent AudioContext, so this takes as long as the audio itself.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {keyof typeof COMPRESSED_FORMATS} format
+ * @param {AudioMetadata} [metadata]
+ * @returns {Promise<Blob>}
+ */
+export async function encodeCompressed(samples, sampleRate, format, metadata = null) {
+  if (!isCompressedFormatSupported(format)) {
+    throw new Error(`This browser cannot record ${format.toUpperCase()} audio`);
+  }
+  const { mimeType } = COMPRESSED_FORMATS[format];
+
+  const context = new AudioContext({ sampleRate });
+  try {
+    const buffer = context.createBuffer(1, samples.length, sampleRate);
+    buffer.copyToChannel(samples, 0);
+
+    const source = context.createBufferSource();
+    source.buffer = buffer;
+    const destination = context.createMediaStreamDestination();
+    source.connect(destination);
+
+    const recorder = new MediaRecorder(destination.stream, { mimeType });
+    const parts = [];
+    recorder.ondataavailable = (e) => {
+      if (e.data.size > 0) parts.push(e.data);
+    };
+    const stopped = new Promise((resolve, reject) => {
+      recorder.onstop = resolve;
+      recorder.onerror = (e) => reject(e.error || new Error("Recording failed"));
+    });
+
+    source.onended = () => recorder.stop();
+    recorder.start();
+    await context.resume();
+    source.start();
+    await stopped;
+
+    const recorded = new Uint8Array(await new Blob(parts).arrayBuffer());
+    if (!metadata) return new Blob([recorded], { type: mimeType });
+
+    return new Blob([tagRecording(recorded, format, metadata)], { type: mimeType });
+  } finally {
+    context.close();
+  }
+}
+
+/**
+ * Write metadata into a file recorded by MediaRecorder.
+ * @param {Uint8Array} bytes WebM or Ogg Opus file
+ * @param {keyof typeof COMPRESSED_FORMATS} format
+ * @param {AudioMetadata} metadata
+ * @returns {Uint8Array} The tagged file, or `bytes` unchanged if its layout is unexpected
+ */
+export function tagRecording(bytes, format, metadata) {
+  return format === "ogg" ? tagOgg(bytes, metadata) : tagWebM(bytes, metadata);
+}
+
+function metadataTags({ text, voice, speed, software }) {
+  return [
+    ["TITLE", text],
+    ["VOICE", voice],
+    ["SPEED", speed !== undefined ? String(speed) : ""],
+    ["ENCODER", software],
+  ].filter(([, value]) => value);
+}
+
+// --- WebM: insert a Tags element in front of the first Cluster ---
+
+const EBML_CLUSTER = [0x1f, 0x43, 0xb6, 0x75];
+const EBML_SEGMENT = [0x18, 0x53, 0x80, 0x67];
+
+function tagWebM(bytes, metadata) {
+  const clusterOffset = indexOfBytes(bytes, EBML_CLUSTER);
+  const segmentOffset = indexOfBytes(bytes, EBML_SEGMENT);
+  if (clusterOffset === -1 || segmentOffset === -1) {
+    console.warn("Unexpected WebM layout, saving without metadata");
+    return bytes;
+  }
+
+  const simpleTags = metadataTags(metadata).map(([name, value]) =>
+    ebmlElement([0x67, 0xc8], [
+      ebmlElement([0x45, 0xa3], textEncoder.encode(name)),
+      ebmlElement([0x44, 0x87], textEncoder.encode(value)),
+    ])
+  );
+  const tag = ebmlElement([0x73, 0x73], [ebmlElement([0x63, 0xc0], []), ...simpleTags]);
+  const tags = ebmlElement([0x12, 0x54, 0xc3, 0x67], [tag]);
+
+  const result = new Uint8Array(bytes.length + tags.length);
+  result.set(bytes.subarray(0, clusterOffset), 0);
+  result.set(tags, clusterOffset);
+  result.set(bytes.subarray(clusterOffset), clusterOffset + tags.length);
+
+  // Recorders write a live Segment of unknown size; a sized one has to grow with the tags
+  const sizeOffset = segmentOffset + EBML_SEGMENT.length;
+  const sizeLength = vintLength(result[sizeOffset]);
+  const size = readVint(result, sizeOffset, sizeLength);
+  if (size !== null) {
+    writeVint(result, sizeOffset, sizeLength, size + tags.length);
+  }
+  return result;
+}
+
+function ebmlElement(id, payload) {
+  const data = Array.isArray(payload) ? concatBytes(payload) : payload;
+  const sizeLength = Math.max(1, Math.ceil(Math.log2(data.length + 2) / 7));
+  const element = new Uint8Array(id.length + sizeLength + data.length);
+  element.set(id, 0);
+  writeVint(element, id.length, sizeLength, data.length);
+  element.set(data, id.length + sizeLength);
+  return element;
+}
+
+function vintLength(firstByte) {
+  let length = 1;
+  while (length <= 8 && !(firstByte & (0x80 >> (length - 1)))) length++;
+  return length;
+}
+
+// Returns null for the reserved "unknown size" value
+function readVint(bytes, offset, length) {
+  let value = bytes[offset] & (0xff >> length);
+  let allOnes = value === 0xff >> length;
+  for (let i = 1; i < length; i++) {
+    value = value * 256 + bytes[offset + i];
+    allOnes = allOnes && bytes[offset + i] === 0xff;
+  }
+  return allOnes ? null : value;
+}
+
+function writeVint(bytes, offset, length, value) {
+  for (let i = length - 1; i > 0; i--) {
+    bytes[offset + i] = value % 256;
+    value = Math.floor(value / 256);
+  }
+  bytes[offset] = (0x80 >> (length - 1)) | value;
+}
+
+// --- Ogg: rewrite the OpusTags page with our comments ---
+
+// 255 lacing values of up to 255 bytes, the last below 255 so the packet ends on the page
+const MAX_OGG_PAGE_DATA = 254 * 255 + 254;
+
+const OGG_CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let i = 0; i < 256; i++) {
+    let crc = i << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+    table[i] = crc >>> 0;
+  }
+  return table;
+})();
+
+function tagOgg(bytes, metadata) {
+  const pages = readOggPages(bytes);
+  const tagsPage = pages.find((page) => startsWithText(page.data, "OpusTags"));
+  if (!tagsPage || tagsPage.continued) {
+    console.warn("Unexpected Ogg layout, saving without metadata");
+    return bytes;
+  }
+
+  const vendor = readOpusVendor(tagsPage.data);
+  const tags = metadataTags(metadata);
+  // The packet has to fit on the one page it replaces; long texts are cut to fit
+  const budget = MAX_OGG_PAGE_DATA - (8 + 4 + vendor.length + 4 + 4 * tags.length);
+  if (budget < 0) {
+    console.warn("Ogg vendor string too long, saving without metadata");
+    return bytes;
+  }
+  const comments = fitComments(
+    tags.map(([name, value]) => textEncoder.encode(`${name}=${value}`)),
+    budget
+  );
+  const packet = concatBytes([
+    textEncoder.encode("OpusTags"),
+    uint32LE(vendor.length),
+    vendor,
+    uint32LE(comments.length),
+    ...comments.flatMap((comment) => [uint32LE(comment.length), comment]),
+  ]);
+
+  const page = buildOggPage(tagsPage.header, packet);
+  return concatBytes([
+    bytes.subarray(0, tagsPage.offset),
+    page,
+    bytes.subarray(tagsPage.offset + tagsPage.length),
+  ]);
+}
+
+// Share `budget` bytes between comments: short ones are kept whole, long ones split the rest
+function fitComments(comments, budget) {
+  const fitted = [...comments];
+  const shortestFirst = comments.map((_, i) => i).sort((a, b) => comments[a].length - comments[b].length);
+  for (const [n, i] of shortestFirst.entries()) {
+    const share = Math.floor(budget / (comments.length - n));
+    fitted[i] = truncateUtf8(comments[i], share);
+    budget -= fitted[i].length;
+  }
+  return fitted;
+}
+
+// Cut UTF-8 bytes to at most `maxLength` without splitting a character
+function truncateUtf8(bytes, maxLength) {
+  if (bytes.length <= maxLength) return bytes;
+  let end = maxLength;
+  while (end > 0 && (bytes[end] & 0xc0) === 0x80) end--;
+  return bytes.subarray(0, end);
+}
+
+function readOggPages(bytes) {
+  const pages = [];
+  let offset = 0;
+  while (offset + 27 <= bytes.length && startsWithText(bytes.subarray(offset), "OggS")) {
+    const segmentCount = bytes[offset + 26];
+    const lacing = bytes.subarray(offset + 27, offset + 27 + segmentCount);
+    const dataLength = lacing.reduce((sum, value) => sum + value, 0);
+    const headerLength = 27 + segmentCount;
+    pages.push({
+      offset,
+      length: headerLength + dataLength,
+      header: bytes.subarray(offset, offset + 27),
+      continued: (bytes[offset + 5] & 0x01) !== 0 || lacing[segmentCount - 1] === 255,
+      data: bytes.subarray(offset + headerLength, offset + headerLength + dataLength),
+    });
+    offset += headerLength + dataLength;
+  }
+  return pages;
+}
+
+function readOpusVendor(data) {
+  const length = new DataView(data.buffer, data.byteOffset + 8, 4).getUint32(0, true);
+  return data.subarray(12, 12 + length);
+}
+
+function buildOggPage(header, packet) {
+  const lacing = [];
+  let remaining = packet.length;
+  while (remaining >= 255) {
+    lacing.push(255);
+    remaining -= 255;
+  }
+  lacing.push(remaining);
+  if (lacing.length > 255) {
+    throw new Error(`Ogg packet of ${packet.length} bytes does not fit on one page`);
+  }
+
+  const page = new Uint8Array(27 + lacing.length + packet.length);
+  page.set(header, 0);
+  page.fill(0, 22, 26); // CRC is computed with its own field zeroed
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  page.set(packet, 27 + lacing.length);
+
+  let crc = 0;
+  for (const byte of page) {
+    crc = ((crc << 8) ^ OGG_CRC_TABLE[((crc >>> 24) ^ byte) & 0xff]) >>> 0;
+  }
+  new DataView(page.buffer).setUint32(22, crc, true);
+  return page;
+}
+
+// --- Byte helpers ---
+
+function concatBytes(parts) {
+  const result = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+  let offset = 0;
+  for (const part of parts) {
+    result.set(part, offset);
+    offset += part.length;
+  }
+  return result;
+}
+
+function uint32LE(value) {
+  const bytes = new Uint8Array(4);
+  new DataView(bytes.buffer).setUint32(0, value, true);
+  return bytes;
+}
+
+function startsWithText(bytes, text) {
+  if (bytes.length < text.length) return false;
+  for (let i = 0; i < text.length; i++) {
+    if (bytes[i] !== text.charCodeAt(i)) return false;
+  }
+  return true;
+}
+
+function indexOfBytes(bytes, pattern) {
+  outer: for (let i = 0; i <= bytes.length - pattern.length; i++) {
+    for (let j = 0; j < pattern.length; j++) {
+      if (bytes[i + j] !== pattern[j]) continue outer;
+    }
+    return i;
+  }
+  return -1;
+}
@@ -0,0 +1,16 @@
+/**
+ * Find where speech starts and ends in a chunk, ignoring leading and trailing silence.
+ * @param {Float32Array} samples
+ * @param {number} sampleRate
+ * @param {number} [threshold=0.02] Absolute amplitude counted as speech
+ * @returns {{start: number, end: number}} Seconds from the chunk start
+ */
+export function findSpeechBounds(samples, sampleRate, threshold = 0.02) {
+  let first = 0;
+  while (first < samples.length && Math.abs(samples[first]) < threshold) first++;
+  let last = samples.length - 1;
+  while (last > first && Math.abs(samples[last]) < threshold) last--;
+
+  if (first >= samples.length) return { start: 0, end: 0 };
+  return { start: first / sampleRate, end: (last + 1) / sampleRate };
+}
@@ -0,0 +1,115 @@
+import { splitSentences } from "./semantic-split.js";
+
+/**
+ * @typedef {{text: string, start: number, end: number}} TimedWord
+ * @typedef {{text: string, start: number, end: number, words?: TimedWord[]}} TimedSegment
+ */
+
+/**
+ * Build caption cues from timed utterance segments (see Live2DAudioPlayer.getLastUtterance).
+ * Each TTS chunk becomes one cue; with `perSentence`, chunks are split further at sentence ends.
+ * @param {TimedSegment[]} segments
+ * @param {Object} [options]
+ * @param {boolean} [options.perSentence=false]
+ * @returns {{start: number, end: number, text: string}[]}
+ */
+export function buildCaptionCues(segments, { perSentence = false } = {}) {
+  const cues = [];
+  for (const segment of segments) {
+    const text = segment.text.trim();
+    if (!text) continue; // Silence from SSML breaks
+
+    if (!perSentence) {
+      cues.push({ start: segment.start, end: segment.end, text });
+      continue;
+    }
+    for (const { start, end, text } of timeSentences(segment)) {
+      cues.push({ start, end, text });
+    }
+  }
+  return cues;
+}
+
+/**
+ * Split a timed segment into sentences, each with its own word timings. Word timestamps
+ * from the worker are used when they line up with the text; otherwise words are timed by
+ * their share of the characters.
+ * @param {TimedSegment} segment
+ * @returns {{start: number, end: number, text: string, words: TimedWord[]}[]}
+ */
+export function timeSentences(segment) {
+  // Same boundaries as the TTS chunking, so "Dr." or "e.g." does not end a cue
+  const sentences = splitSentences(segment.text.trim());
+  const sentenceWords = sentences.map((sentence) => sentence.split(/\s+/).filter(Boolean));
+  const totalWords = sentenceWords.reduce((sum, words) => sum + words.length, 0);
+
+  let timedWords = segment.words || [];
+  if (timedWords.length !== totalWords) {
+    timedWords = estimateWordTimes(sentenceWords.flat(), segment.start, segment.end);
+  }
+
+  let wordIndex = 0;
+  return sentences.map((text, i) => {
+    const words = timedWords.slice(wordIndex, wordIndex + sentenceWords[i].length);
+    wordIndex += words.length;
+
+    // First and last sentences own the chunk's leading and trailing silence
+    const start = i === 0 ? segment.start : words[0].start;
+    const end = i === sentences.length - 1 ? segment.end : words[words.length - 1].end;
+    return { start, end, text, words };
+  });
+}
+
+function estimateWordTimes(words, start, end) {
+  const totalChars = words.reduce((sum, word) => sum + word.length, 0);
+  const secondsPerChar = totalChars > 0 ? (end - start) / totalChars : 0;
+  let time = start;
+  return words.map((text) => {
+    const word = { text, start: time, end: time + text.length * secondsPerChar };
+    time = word.end;
+    return word;
+  });
+}
+
+/**
+ * Format seconds as a caption timestamp: `HH:MM:SS,mmm` (SRT) or `HH:MM:SS.mmm` (WebVTT).
+ * @param {number} seconds
+ * @param {","|"."} separator
+ * @returns {string}
+ */
+export function formatTimestamp(seconds, separator) {
+  const totalMs = Math.max(0, Math.round(seconds * 1000));
+  const ms = totalMs % 1000;
+  const s = Math.floor(totalMs / 1000) % 60;
+  const m = Math.floor(totalMs / 60000) % 60;
+  const h = Math.floor(totalMs / 3600000);
+  const pad = (n, width = 2) => String(n).padStart(width, "0");
+  return `${pad(h)}:${pad(m)}:${pad(s)}${separator}${pad(ms, 3)}`;
+}
+
+/**
+ * @param {{start: number, end: number, text: string}[]} cues
+ * @returns {string} SubRip subtitles
+ */
+export function toSRT(cues) {
+  return cues
+    .map(
+      (cue, i) =>
+        `${i + 1}\n${formatTimestamp(cue.start, ",")} --> ${formatTimestamp(cue.end, ",")}\n${cue.text}\n`
+    )
+    .join("\n");
+}
+
+/**
+ * @param {{start: number, end: number, text: string}[]} cues
+ * @returns {string} WebVTT subtitles
+ */
+export function toWebVTT(cues) {
+  const body = cues
+    .map(
+      (cue) =>
+        `${formatTimestamp(cue.start, ".")} --> ${formatTimestamp(cue.end, ".")}\n${cue.text.replace(/-->/g, "->")}\n`
+    )
+    .join("\n");
+  return `WEBVTT\n\n${body}`;
+}
@@ -0,0 +1,85 @@
+import { CUSTOM_VOICE_CACHE_NAME, getCustomVoiceUrl } from "./voices.js";
+
+const STORAGE_KEY = "vtubergame:custom-voices";
+// Kokoro voice files hold one 256-float style per input length, up to 510 tokens
+const STYLE_BYTES = 256 * 4;
+const MIN_STYLES = 510;
+
+// Phonemizer language codes, which are also the first letter of a voice id
+export const CUSTOM_VOICE_LANGUAGES = { a: "en-us", b: "en-gb" };
+
+/**
+ * Imported voices saved in this browser, keyed by voice id.
+ * @returns {Object<string, {name: string, language: string, gender: string, traits: string}>}
+ */
+export function loadCustomVoices() {
+  try {
+    return JSON.parse(localStorage.getItem(STORAGE_KEY)) || {};
+  } catch (e) {
+    return {};
+  }
+}
+
+function saveCustomVoices(voices) {
+  localStorage.setItem(STORAGE_KEY, JSON.stringify(voices));
+}
+
+/**
+ * Store a Kokoro-compatible voice .bin file as a new voice. The id follows the built-in
+ * scheme, e.g. `af_custom_mira`, so the first letter picks the phonemizer language.
+ * @param {File} file
+ * @param {Object} options
+ * @param {string} options.name Display name
+ * @param {"a"|"b"} options.language American or British English
+ * @param {"Female"|"Male"} options.gender
+ * @returns {Promise<{id: string, voices: Object}>} The new id and all custom voices
+ */
+export async function importCustomVoice(file, { name, language, gender }) {
+  name = name.trim();
+  const slug = name.toLowerCase().replace(/[^a-z0-9]+/g, "_").replace(/^_+|_+$/g, "");
+  if (!slug) {
+    throw new Error("Give the voice a name with letters or digits");
+  }
+  if (!CUSTOM_VOICE_LANGUAGES[language]) {
+    throw new Error(`Unsupported language "${language}"; use a (American) or b (British) English`);
+  }
+  if (gender !== "Female" && gender !== "Male") {
+    throw new Error(`Gender must be Female or Male, not "${gender}"`);
+  }
+  if (file.size % STYLE_BYTES !== 0 || file.size < MIN_STYLES * STYLE_BYTES) {
+    throw new Error(
+      `${file.name} is not a Kokoro voice file: expected at least ${MIN_STYLES} styles of 256 floats ` +
+        `(${MIN_STYLES * STYLE_BYTES} bytes), got ${file.size} bytes`
+    );
+  }
+
+  const id = `${language}${gender === "Female" ? "f" : "m"}_custom_${slug}`;
+  const cache = await caches.open(CUSTOM_VOICE_CACHE_NAME);
+  await cache.put(
+    getCustomVoiceUrl(id),
+    new Response(file, { headers: { "Content-Type": "application/octet-stream" } })
+  );
+
+  const voices = {
+    ...loadCustomVoices(),
+    [id]: { name, language: CUSTOM_VOICE_LANGUAGES[language], gender, traits: "📥" },
+  };
+  saveCustomVoices(voices);
+  return { id, voices };
+}
+
+/**
+ * Forget an imported voice and its style data.
+ * @param {string} id
+ * @returns {Promise<Object>} The remaining custom voices
+ */
+export async function deleteCustomVoice(id) {
+  // Style data first, so a failure leaves the voice listed and usable
+  const cache = await caches.open(CUSTOM_VOICE_CACHE_NAME);
+  await cache.delete(getCustomVoiceUrl(id));
+
+  const voices = loadCustomVoices();
+  delete voices[id];
+  saveCustomVoices(voices);
+  return voices;
+}
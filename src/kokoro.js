@@ -1,10 +1,50 @@
 import { StyleTextToSpeech2Model, AutoTokenizer, Tensor, RawAudio } from "./transformers.min.js";
 
 import { phonemize } from "./phonemize.js";
-import { getVoiceData, VOICES } from "./voices.js";
+import {
+  getCustomVoices,
+  getVoiceData,
+  getVoiceLanguage,
+  hasVoice,
+  isVoiceBlend,
+  parseVoiceBlend,
+  VOICES,
+} from "./voices.js";
+import { findSpeechBounds } from "./audio-utils.js";
 
 const STYLE_DIM = 256;
-const SAMPLE_RATE = 24000;
+export const SAMPLE_RATE = 24000;
+// Longest phoneme input the model can speak: voice tables hold 510 styles, indexed by token count
+export const MAX_PHONEME_TOKENS = 509;
+
+// The ONNX session itself failed (e.g. a lost GPU device), as opposed to bad input or a missing voice
+export class ModelRunError extends Error {
+  constructor(cause) {
+    super(cause?.message ?? String(cause), { cause });
+    this.name = "ModelRunError";
+  }
+}
+
+/**
+ * @typedef {Object} KokoroToken A phoneme token and when it is spoken, in seconds from the start of the audio
+ * @property {string} text The phoneme character
+ * @property {number|null} word Index of the spoken word it belongs to, or null for word gaps
+ * @property {number} start
+ * @property {number} end
+ *
+ * @typedef {Object} KokoroWord A word of the input text and when it is spoken
+ * @property {string} text The word as written in the input
+ * @property {string} phonemes The phonemes spoken for it
+ * @property {number} start
+ * @property {number} end
+ *
+ * @typedef {Object} KokoroTimedAudio
+ * @property {RawAudio} audio The generated audio
+ * @property {string} phonemes The phonemes the audio was generated from
+ * @property {KokoroToken[]} tokens
+ * @property {KokoroWord[]} words
+ * @property {"model"|"estimated"} timing Whether timings come from the model's predicted durations
+ */
 
 export class KokoroTTS {
   /**
@@ -48,23 +88,88 @@ export class KokoroTTS {
    * Note: The model will be loaded on the first call, and subsequent calls will use the same model.
    * @param {string} text The input text
    * @param {Object} options Additional options
-   * @param {keyof typeof VOICES} [options.voice="af"] The voice style to use
+   * @param {keyof typeof VOICES|string} [options.voice="af"] The voice style to use, or a blend such as `af_bella:0.6,bm_george:0.4`
    * @param {number} [options.speed=1] The speaking speed
-   * @returns {Promise<RawAudio>} The generated audio
+   * @param {boolean} [options.return_timestamps=false] Whether to also return phoneme and word timings
+   * @returns {Promise<RawAudio|KokoroTimedAudio>} The generated audio, with timings if requested
    */
-  async generate(text, { voice = "af", speed = 1 } = {}) {
-    if (!VOICES.hasOwnProperty(voice)) {
-      console.error(`Voice "${voice}" not found. Available voices:`);
-      console.table(VOICES);
-      throw new Error(`Voice "${voice}" not found. Should be one of: ${Object.keys(VOICES).join(", ")}.`);
-    }
+  async generate(text, { voice = "af", speed = 1, return_timestamps = false } = {}) {
+    this._validate_voice(voice);
 
-    const language = voice.at(0); // "a" or "b"
+    const language = getVoiceLanguage(voice); // "a" or "b"
     const phonemes = await phonemize(text, language);
+    const { audio, num_tokens, durations } = await this._infer(phonemes, { voice, speed });
+    if (!return_timestamps) {
+      return audio;
+    }
+
+    const tokens = this._time_tokens(phonemes, num_tokens, audio, durations);
+    return {
+      audio,
+      phonemes,
+      tokens,
+      words: this._time_words(text, tokens),
+      timing: durations ? "model" : "estimated",
+    };
+  }
+
+  /**
+   * Check a voice and load its style table, so an unknown voice or one that cannot be
+   * downloaded fails before any inference.
+   * @param {keyof typeof VOICES|string} voice A voice id or blend
+   * @returns {Promise<Float32Array>}
+   */
+  async load_voice(voice) {
+    this._validate_voice(voice);
+    return getVoiceData(voice);
+  }
+
+  /**
+   * Count the phoneme tokens a text becomes, to keep chunks within `MAX_PHONEME_TOKENS`.
+   * @param {string} text The input text
+   * @param {Object} options Additional options
+   * @param {keyof typeof VOICES|string} [options.voice="af"] The voice, which decides the phonemizer language
+   * @returns {Promise<number>} The token count, without padding
+   */
+  async count_tokens(text, { voice = "af" } = {}) {
+    const phonemes = await phonemize(text, getVoiceLanguage(voice));
+    return this.tokenizer.encode(phonemes, { add_special_tokens: false }).length;
+  }
+
+  /**
+   * Generate audio from an already phonemized string.
+   * @param {string} phonemes The phonemes, as returned by `phonemize`
+   * @param {Object} options Additional options
+   * @param {keyof typeof VOICES|string} [options.voice="af"] The voice style to use, or a blend
+   * @param {number} [options.speed=1] The speaking speed
+   * @returns {Promise<RawAudio>} The generated audio
+   */
+  async generate_from_phonemes(phonemes, { voice = "af", speed = 1 } = {}) {
+    this._validate_voice(voice);
+
+    const { audio } = await this._infer(phonemes, { voice, speed });
+    return audio;
+  }
+
+  /**
+   * Run the model on a phoneme string.
+   * @returns {Promise<{audio: RawAudio, num_tokens: number, durations: ArrayLike<number>|null}>}
+   *   `durations` holds the predicted length of every input token (padding included), when the
+   *   exported model provides it.
+   */
+  async _infer(phonemes, { voice, speed }) {
     const { input_ids } = this.tokenizer(phonemes, {
       truncation: true,
     });
 
+    const full_length = this.tokenizer.encode(phonemes, { add_special_tokens: false }).length;
+    if (full_length > MAX_PHONEME_TOKENS) {
+      console.warn(
+        `Kokoro input is ${full_length} phoneme tokens, over the ${MAX_PHONEME_TOKENS}-token limit; ` +
+          `the end will not be spoken. Split long text before generating.`,
+      );
+    }
+
     // Select voice style based on number of input tokens
     const num_tokens = Math.max(
       input_ids.dims.at(-1) - 2, // Without padding;
@@ -73,7 +178,7 @@ export class KokoroTTS {
 
     // Load voice style
     const data = await getVoiceData(voice);
-    const offset = num_tokens * STYLE_DIM;
+    const offset = Math.min(num_tokens, MAX_PHONEME_TOKENS) * STYLE_DIM;
     const voiceData = data.slice(offset, offset + STYLE_DIM);
 
     // Prepare model inputs
@@ -84,8 +189,108 @@ export class KokoroTTS {
     };
 
     // Generate audio
-    const { waveform } = await this.model(inputs);
+    let outputs;
+    try {
+      outputs = await this.model(inputs);
+    } catch (error) {
+      throw new ModelRunError(error);
+    }
+    const { waveform, durations } = outputs;
+
+    return {
+      audio: new RawAudio(waveform.data, SAMPLE_RATE),
+      num_tokens,
+      durations: durations ? Array.from(durations.data, Number) : null,
+    };
+  }
+
+  /**
+   * Time every phoneme token. Uses the model's predicted durations when available, otherwise
+   * spreads the tokens evenly over the audible part of the audio.
+   * @returns {KokoroToken[]}
+   */
+  _time_tokens(phonemes, num_tokens, audio, durations) {
+    // Kokoro's tokenizer is character level and drops unknown characters, so find out which
+    // characters became tokens, and which word (run of non-space characters) each belongs to
+    const tokens = [];
+    let word = 0;
+    let inWord = false;
+    for (const char of phonemes) {
+      const isSpace = /\s/.test(char);
+      if (!isSpace && !inWord) word++;
+      inWord = !isSpace;
+
+      const count = this.tokenizer.encode(char, { add_special_tokens: false }).length;
+      for (let i = 0; i < count; i++) {
+        tokens.push({ text: char, word: isSpace ? null : word - 1, start: 0, end: 0 });
+      }
+    }
+    tokens.length = Math.min(tokens.length, num_tokens); // Truncated tokens were never spoken
+
+    const seconds = audio.audio.length / audio.sampling_rate;
+    if (durations && durations.length === num_tokens + 2) {
+      const total = durations.reduce((sum, d) => sum + d, 0);
+      const secondsPerUnit = total > 0 ? seconds / total : 0;
+      let time = durations[0] * secondsPerUnit; // Leading padding token
+      tokens.forEach((token, i) => {
+        token.start = time;
+        time += durations[i + 1] * secondsPerUnit;
+        token.end = time;
+      });
+    } else {
+      const { start, end } = findSpeechBounds(audio.audio, audio.sampling_rate);
+      const step = tokens.length > 0 ? (end - start) / tokens.length : 0;
+      tokens.forEach((token, i) => {
+        token.start = start + i * step;
+        token.end = start + (i + 1) * step;
+      });
+    }
+    return tokens;
+  }
+
+  /**
+   * Group timed tokens into the words of the original text. Normalization can turn one written
+   * word into several spoken ones ("$5" -> "five dollars"), so when the counts differ, written
+   * words are mapped proportionally onto the spoken ones.
+   * @returns {KokoroWord[]}
+   */
+  _time_words(text, tokens) {
+    const spoken = [];
+    for (const token of tokens) {
+      if (token.word === null) continue;
+      const word = (spoken[token.word] ??= { phonemes: "", start: token.start, end: token.end });
+      word.phonemes += token.text;
+      word.end = token.end;
+    }
+    const spokenWords = spoken.filter(Boolean);
+
+    const written = text.trim().split(/\s+/).filter(Boolean);
+    if (spokenWords.length === 0 || written.length === 0) return [];
 
-    return new RawAudio(waveform.data, SAMPLE_RATE);
+    return written.map((word, i) => {
+      const first = Math.floor((i * spokenWords.length) / written.length);
+      const last = Math.max(first, Math.floor(((i + 1) * spokenWords.length) / written.length) - 1);
+      return {
+        text: word,
+        phonemes: spokenWords.slice(first, last + 1).map((w) => w.phonemes).join(" "),
+        start: spokenWords[first].start,
+        end: spokenWords[Math.min(last, spokenWords.length - 1)].end,
+      };
+    });
+  }
+
+  /**
+   * @param {string} voice
+   * @throws {Error} If the voice (or any voice in a blend) is unknown
+   */
+  _validate_voice(voice) {
+    if (isVoiceBlend(voice)) {
+      parseVoiceBlend(voice); // Throws if any component is unknown
+    } else if (!hasVoice(voice)) {
+      const voices = { ...VOICES, ...getCustomVoices() };
+      console.error(`Voice "${voice}" not found. Available voices:`);
+      console.table(voices);
+      throw new Error(`Voice "${voice}" not found. Should be one of: ${Object.keys(voices).join(", ")}.`);
+    }
   }
-}
\ No newline at end of file
+}
@@ -5,6 +5,17 @@ import { Live2DModel } from "pixi-live2d-display-lipsyncpatch";
 import { updateProgress } from "./updateProgress.js";
 import { Live2DAudioPlayer } from "./Live2DAudioPlayer.js";
 import { TTSButtonHandler } from "./TTSButtonHandler.js";
+import { VoiceSelector } from "./VoiceSelector.js";
+import { CaptionExporter } from "./CaptionExporter.js";
+import { AudioExporter } from "./AudioExporter.js";
+import { CanvasCaptions } from "./CanvasCaptions.js";
+import { UtteranceCache } from "./UtteranceCache.js";
+import { UtteranceCachePanel } from "./UtteranceCachePanel.js";
+import { TTSClient } from "./TTSClient.js";
+import { TTSBackendPanel, loadBackendSettings } from "./TTSBackendPanel.js";
+import { ModelCachePanel } from "./ModelCachePanel.js";
+import { setCustomVoices, setVoiceDataUrl } from "./voices.js";
+import { loadCustomVoices } from "./custom-voices.js";
 
 // Register ticker for model updates
 Live2DModel.registerTicker(Ticker);
@@ -12,8 +23,17 @@ Live2DModel.registerTicker(Ticker);
 let app;
 let model;
 let ttsWorker;
+let ttsClient;
 let audioPlayer;
 let buttonHandler;
+let voiceSelector;
+let captionExporter;
+let audioExporter;
+let canvasCaptions;
+let utteranceCache;
+let utteranceCachePanel;
+let ttsBackendPanel;
+let modelCachePanel;
 
 const PRESIDENT_ASSETS_PATH = "/models/President game assets/";
 
@@ -64,95 +84,137 @@ async function init() {
 }
 
 function initializeTTSSystem() {
-  // Initialize TTS worker
-  ttsWorker = new Worker(new URL("./tts-worker.js", import.meta.url), {
-    type: "module",
-  });
+  // Initialize TTS worker with the saved device, precision and sources
+  const settings = loadBackendSettings();
+  setVoiceDataUrl(settings.voicesUrl ?? null);
+  ttsWorker = createTTSWorker();
+  ttsClient = new TTSClient(ttsWorker, settings);
+  // Imported voices are listed here and generated in the worker
+  const customVoices = loadCustomVoices();
+  setCustomVoices(customVoices);
+  ttsClient.setCustomVoices(customVoices);
 
   // Initialize audio player for Live2D integration
-  audioPlayer = new Live2DAudioPlayer(ttsWorker, model);
-
-  // Initialize button handler
-  buttonHandler = new TTSButtonHandler(ttsWorker, audioPlayer);
-
-  // Set up message handlers
-  const onMessageReceived = async (e) => {
-    switch (e.data.status) {
-      case "loading_model_start":
-        console.log("Kokoro TTS model loading started:", e.data);
-        updateProgress(0, "Loading Kokoro TTS model...");
-        break;
-
-      case "loading_model_ready":
-        buttonHandler.enableButton();
-        updateProgress(100, "Kokoro TTS model loaded successfully");
-        console.log(
-          "Kokoro TTS model ready, voices available:",
-          Object.keys(e.data.voices || {}).length
-        );
-        break;
-
-      case "loading_model_progress":
-        let progress = Number(e.data.progress) * 100;
-        if (isNaN(progress)) progress = 0;
-        updateProgress(
-          progress,
-          `Loading Kokoro model: ${Math.round(progress)}%`
-        );
-        break;
-
-      case "stream_audio_data":
-        // Update button to stop state once we start receiving data
-        buttonHandler.updateToStopState();
-
-        // Queue audio data in our Live2D audio player
-        await audioPlayer.queueAudio(e.data.audio);
-        break;
-
-      case "complete":
-        try {
-          updateProgress(95, "Finalizing audio for Live2D...");
-
-          // Finalize all audio chunks into a single WAV blob
-          const audioUrl = await audioPlayer.finalizeAudio();
-
-          updateProgress(98, "Starting Live2D lipsync...");
-
-          // Play the finalized audio with Live2D lipsync
-          await audioPlayer.playWithLipsync();
-
-          updateProgress(100, "Speech completed successfully!");
-        } catch (error) {
-          console.error("Error during Live2D playback:", error);
-          updateProgress(100, "Error during speech playback!");
-        } finally {
-          buttonHandler.onComplete();
-        }
-        break;
-
-      case "error":
-        console.error("TTS Worker error:", e.data.error);
-        buttonHandler.onError(e.data.error);
-        break;
-    }
-  };
+  audioPlayer = new Live2DAudioPlayer(ttsClient, model);
+
+  // Initialize voice picker and button handler
+  voiceSelector = new VoiceSelector();
+  // Generated lines are kept in IndexedDB so repeats skip the worker
+  utteranceCache = new UtteranceCache();
+  utteranceCachePanel = new UtteranceCachePanel(utteranceCache);
+  buttonHandler = new TTSButtonHandler(ttsClient, audioPlayer, voiceSelector, utteranceCache);
+  captionExporter = new CaptionExporter(audioPlayer);
+  audioExporter = new AudioExporter(audioPlayer);
+
+  // Subtitles drawn on the stage so stream capture picks them up
+  canvasCaptions = new CanvasCaptions(app, audioPlayer);
+  ttsBackendPanel = new TTSBackendPanel(ttsClient);
+  modelCachePanel = new ModelCachePanel();
+
+  // Model loading events; speech requests are handled by the button handler
+  ttsClient.addEventListener("loading", (e) => {
+    console.log("Kokoro TTS model loading started:", e.detail);
+    updateProgress(0, `Loading Kokoro TTS model (${e.detail.device})...`);
+    ttsBackendPanel.setLoading();
+  });
 
-  const onErrorReceived = (e) => {
-    console.error("TTS Worker error:", e);
-    buttonHandler.onError(e.message || "Unknown worker error");
-  };
+  // Every model load, including restarts and the WASM fallback
+  ttsClient.addEventListener("ready", (e) => {
+    ttsBackendPanel.setReady(e.detail);
+    modelCachePanel.refresh(); // Loading may have downloaded files
+  });
 
-  ttsWorker.addEventListener("message", onMessageReceived);
-  ttsWorker.addEventListener("error", onErrorReceived);
+  ttsClient.addEventListener("progress", (e) => {
+    if (e.detail.status !== "progress") return; // Per-file start/done notices
+    let progress = Number(e.detail.progress);
+    if (isNaN(progress)) progress = 0;
+    updateProgress(progress, `Loading Kokoro model: ${Math.round(progress)}%`);
+  });
+
+  // The worker reloads the model on WASM if WebGPU breaks, and retries the chunk
+  ttsClient.addEventListener("fallback", (e) => {
+    const { from, to, reason } = e.detail;
+    console.warn(`Kokoro TTS switched from ${from} to ${to}: ${reason}`);
+    updateProgress(0, `${from} failed, reloading the voice model on ${to}...`);
+    // The cache keys on dtype, and WASM runs the quantized model
+    ttsClient.addEventListener("ready", (ready) => utteranceCache.setDtype(ready.detail.dtype), { once: true });
+  });
+
+  ttsClient.addEventListener("error", (e) => {
+    console.error("TTS Worker error:", e.detail.error);
+    buttonHandler.onError(e.detail.error);
+  });
+
+  ttsClient.ready().then(handleTTSReady).catch(handleTTSLoadError);
 
   // Initialize button handlers
-  buttonHandler.init();
+  buttonHandler.init({
+    onSpeechFinished: () => {
+      captionExporter.refresh();
+      audioExporter.refresh();
+    },
+    onCacheUpdated: () => utteranceCachePanel.refresh(),
+  });
+  utteranceCachePanel.init();
+  voiceSelector.init({
+    onPreview: buttonHandler.previewVoice,
+    onCustomVoicesChanged: (voices, id) => {
+      setCustomVoices(voices);
+      ttsClient.setCustomVoices(voices);
+      // A re-import under the same name keeps the id, so lines cached with it are stale
+      utteranceCache.deleteVoice(id).then(() => utteranceCachePanel.refresh());
+    },
+  });
+  captionExporter.init();
+  audioExporter.init();
+  canvasCaptions.initControls();
+  ttsBackendPanel.init({ onRestart: restartTTS });
+  modelCachePanel.init();
 
   // Show initial progress
   updateProgress(0, "Initializing Kokoro TTS model...");
   document.getElementById("progressContainer").style.display = "block";
 }
 
+function createTTSWorker() {
+  return new Worker(new URL("./tts-worker.js", import.meta.url), {
+    type: "module",
+  });
+}
+
+function handleTTSReady({ voices, dtype }) {
+  buttonHandler.enableButton();
+  buttonHandler.configureWorker();
+  voiceSelector.setVoices(voices);
+  utteranceCache.setDtype(dtype);
+  updateProgress(100, "Kokoro TTS model loaded successfully");
+  console.log("Kokoro TTS model ready, voices available:", Object.keys(voices).length);
+}
+
+// Speech stays off until a model loads, e.g. after fixing the backend settings
+function handleTTSLoadError(error) {
+  console.error("Kokoro TTS model failed to load:", error);
+  buttonHandler.disableButton();
+  ttsBackendPanel.setError(error.message);
+  updateProgress(100, `Kokoro TTS model failed to load: ${error.message}`);
+}
+
+// Load the model again in a fresh worker, e.g. with another device or precision
+function restartTTS(settings) {
+  if (buttonHandler.isCurrentlyProcessing()) {
+    buttonHandler.stop();
+  }
+  buttonHandler.disableButton();
+  updateProgress(0, "Restarting Kokoro TTS...");
+
+  // The cache panel lists and downloads voices from the same place as the worker
+  setVoiceDataUrl(settings.voicesUrl ?? null);
+  ttsWorker = createTTSWorker();
+  ttsClient.restart(ttsWorker, settings);
+  // A device or precision this machine cannot run, or missing local files, end up here
+  ttsClient.ready().then(handleTTSReady).catch(handleTTSLoadError);
+}
+
 /**
  * Creates the scene buttons from the fetched manifest data.
  */
@@ -225,6 +287,9 @@ async function loadModel(modelPath, modelName) {
       audioPlayer.setLive2DModel(model);
     }
 
+    // Restore the voice this character last used
+    voiceSelector?.setModel(modelPath);
+
     // Setup UI controls for this model
     setupModelControls(modelName);
 
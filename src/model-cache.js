@@ -0,0 +1,136 @@
+import { VOICES, VOICE_CACHE_NAME, getVoiceFile, getVoiceFileUrl } from "./voices.js";
+
+// Where transformers.js keeps downloaded model files, keyed by their Hub URL
+export const MODEL_CACHE_NAME = "transformers-cache";
+const MODEL_BASE_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/";
+
+// Model folder files worth importing; everything else in the folder is ignored
+const MODEL_FILE_PATTERN = /^(config\.json|tokenizer\.json|tokenizer_config\.json|onnx\/model[\w]*\.onnx)$/;
+
+/**
+ * @typedef {Object} CachedFile
+ * @property {string} cacheName
+ * @property {string} key Request URL the file is cached under
+ * @property {string} name Short display name
+ * @property {number} size Bytes
+ */
+
+/**
+ * Everything in the voice and model caches.
+ * @returns {Promise<{voices: CachedFile[], model: CachedFile[]}>}
+ */
+export async function listCachedFiles() {
+  const [voices, model] = await Promise.all([
+    listCache(VOICE_CACHE_NAME, (url) => url.pathname.split("/").pop().replace(/\.bin$/, "")),
+    // Hub keys look like .../resolve/main/onnx/model.onnx; show the path inside the repo
+    listCache(MODEL_CACHE_NAME, (url) => url.pathname.split("/resolve/main/").pop()),
+  ]);
+  return { voices, model };
+}
+
+async function listCache(cacheName, getName) {
+  const cache = await caches.open(cacheName);
+  const files = [];
+  for (const request of await cache.keys()) {
+    const response = await cache.match(request);
+    if (!response) continue;
+    const url = new URL(request.url);
+    files.push({
+      cacheName,
+      key: request.url,
+      name: decodeURIComponent(getName(url)),
+      size: Number(response.headers.get("content-length")) || (await response.blob()).size,
+    });
+  }
+  return files.sort((a, b) => a.name.localeCompare(b.name));
+}
+
+/**
+ * Download every built-in voice that is not cached yet.
+ * @param {(done: number, total: number) => void} [onProgress]
+ * @returns {Promise<string[]>} Voices that failed to download
+ */
+export async function downloadAllVoices(onProgress) {
+  const ids = Object.keys(VOICES);
+  const failed = [];
+  for (const [i, id] of ids.entries()) {
+    try {
+      await getVoiceFile(id);
+    } catch (error) {
+      console.warn(`Unable to download voice ${id}:`, error);
+      failed.push(id);
+    }
+    onProgress?.(i + 1, ids.length);
+  }
+  return failed;
+}
+
+/**
+ * Store voice .bin files picked from disk. Files are matched to voices by name, e.g. `af_bella.bin`.
+ * @param {Iterable<File>} files
+ * @returns {Promise<{imported: string[], skipped: string[]}>}
+ */
+export async function importVoiceFiles(files) {
+  const cache = await caches.open(VOICE_CACHE_NAME);
+  const imported = [];
+  const skipped = [];
+  for (const file of files) {
+    const id = file.name.replace(/\.bin$/, "");
+    if (!file.name.endsWith(".bin") || !VOICES.hasOwnProperty(id)) {
+      skipped.push(file.name);
+      continue;
+    }
+    await cache.put(getVoiceFileUrl(id), fileResponse(file));
+    imported.push(id);
+  }
+  return { imported, skipped };
+}
+
+/**
+ * Store a local copy of the Kokoro ONNX repo, picked as a folder, where transformers.js
+ * looks for Hub downloads. Voice files in its `voices/` folder go to the voice cache.
+ * @param {Iterable<File>} files From an `<input type="file" webkitdirectory>`
+ * @returns {Promise<{imported: string[], skipped: string[]}>}
+ */
+export async function importModelFolder(files) {
+  const cache = await caches.open(MODEL_CACHE_NAME);
+  const imported = [];
+  const skipped = [];
+  const voiceFiles = [];
+  for (const file of files) {
+    // Drop the picked folder's own name: "Kokoro-82M-v1.0-ONNX/onnx/model.onnx" -> "onnx/model.onnx"
+    const path = (file.webkitRelativePath || file.name).split("/").slice(1).join("/");
+    if (path.startsWith("voices/")) {
+      voiceFiles.push(file);
+    } else if (MODEL_FILE_PATTERN.test(path)) {
+      await cache.put(MODEL_BASE_URL + path, fileResponse(file));
+      imported.push(path);
+    }
+  }
+
+  const voices = await importVoiceFiles(voiceFiles);
+  imported.push(...voices.imported.map((id) => `voices/${id}.bin`));
+  skipped.push(...voices.skipped.map((name) => `voices/${name}`));
+  if (imported.length === 0) {
+    throw new Error("No Kokoro model files found; pick the folder that holds config.json and onnx/");
+  }
+  return { imported, skipped };
+}
+
+export async function deleteCachedFile({ cacheName, key }) {
+  const cache = await caches.open(cacheName);
+  await cache.delete(key);
+}
+
+export async function clearCachedFiles() {
+  await Promise.all([caches.delete(VOICE_CACHE_NAME), caches.delete(MODEL_CACHE_NAME)]);
+}
+
+function fileResponse(file) {
+  return new Response(file, {
+    headers: {
+      "Content-Type": file.type || "application/octet-stream",
+      "Content-Length": String(file.size),
+    },
+  });
+}
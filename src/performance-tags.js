@@ -0,0 +1,93 @@
+// Inline performance tags: `[Happy]`, `[expr:Sad]`, `[motion:Tap]`, `[motion:Tap:1]`
+const TAG_PATTERN = /\[(?:(expr|expression|motion):)?([^\[\]:]+)(?::(\d+))?\]/gi;
+
+/**
+ * Strip performance tags from speech text.
+ *
+ * Cue positions are counted in non-whitespace characters of the cleaned text, so they
+ * survive the whitespace changes `splitTextSmart` makes when it trims and rejoins chunks.
+ * @param {string} text The text as typed, tags included
+ * @returns {{text: string, cues: {position: number, type: "expression"|"motion", name: string, index?: number}[]}}
+ */
+export function parsePerformanceTags(text) {
+  const cues = [];
+  let clean = "";
+  let position = 0;
+  let prev = 0;
+
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    const before = text.slice(prev, match.index);
+    clean += before;
+    position += countSpeechChars(before);
+    prev = match.index + match[0].length;
+
+    const [, kind, name, index] = match;
+    const cue = {
+      position,
+      type: kind?.toLowerCase() === "motion" ? "motion" : "expression",
+      name: name.trim(),
+    };
+    if (index !== undefined) cue.index = Number(index);
+    cues.push(cue);
+  }
+  clean += text.slice(prev);
+
+  return {
+    text: clean.replace(/[^\S\n]{2,}/g, " ").trim(),
+    cues,
+  };
+}
+
+/**
+ * Count the characters that position cues: everything except whitespace and SSML markup.
+ * @param {string} text
+ * @returns {number}
+ */
+export function countSpeechChars(text) {
+  return text.replace(/<\/?[a-z][^>]*>/gi, "").replace(/\s+/g, "").length;
+}
+
+/**
+ * Find an expression on a Live2D model by name, ignoring case and file extensions.
+ * @returns {number|null} The expression index, or null when the model has no match
+ */
+export function findExpressionIndex(model, name) {
+  const internalModel = model.internalModel;
+  const definitions =
+    internalModel.motionManager.expressionManager?.definitions ||
+    internalModel.settings?.expressions ||
+    [];
+
+  const wanted = normalizeName(name);
+  const index = definitions.findIndex((expression) => {
+    const candidate = expression.name || expression.Name || expression.file || expression.File || "";
+    return normalizeName(candidate) === wanted;
+  });
+  return index === -1 ? null : index;
+}
+
+/**
+ * Find a motion group on a Live2D model: exact name first, then case-insensitive,
+ * then the first group starting with the name (so `Tap` matches `tap_body`).
+ * @returns {string|null}
+ */
+export function findMotionGroup(model, name) {
+  const groups = Object.keys(model.internalModel.motionManager.definitions || {});
+  if (groups.includes(name)) return name;
+
+  const wanted = normalizeName(name);
+  return (
+    groups.find((group) => normalizeName(group) === wanted) ||
+    groups.find((group) => normalizeName(group).startsWith(wanted)) ||
+    null
+  );
+}
+
+function normalizeName(name) {
+  return name
+    .split("/")
+    .pop()
+    .replace(/\.exp3?\.json$/i, "")
+    .replace(/[\s_-]/g, "")
+    .toLowerCase();
+}
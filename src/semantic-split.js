@@ -1,4 +1,92 @@
-export function splitTextSmart(text, maxChunkLength = 500) {
+// Words that end in a period without ending the sentence
+const ABBREVIATIONS = new Set([
+  'mr', 'mrs', 'ms', 'mx', 'dr', 'prof', 'sr', 'jr', 'mt', 'ft', 'rev', 'gen', 'col',
+  'capt', 'lt', 'sgt', 'gov', 'sen', 'rep', 'pres', 'vs', 'etc', 'approx', 'dept',
+  'inc', 'ltd', 'corp', 'vol', 'fig', 'ch', 'pp', 'jan', 'feb', 'mar', 'apr',
+  'jun', 'jul', 'aug', 'sep', 'sept', 'oct', 'nov', 'dec',
+]);
+// Also everyday words ("The answer is no."), so only abbreviations before a number or
+// lowercase word: "No. 5", "St. and Ave."
+const AMBIGUOUS_ABBREVIATIONS = new Set(['no', 'co', 'st', 'est']);
+
+const CJK_TERMINATORS = '。！？';
+const TERMINATORS = '.?!…' + CJK_TERMINATORS;
+const CLOSERS = '"\'”’»)]}」』）】';
+
+/**
+ * Find where sentences end: after terminal punctuation (including `…` and `。！？`) and any
+ * closing quotes or brackets, skipping abbreviations (`Dr.`, `e.g.`), initials (`J. R. R.`),
+ * decimals (`3.14`), and ellipses or quotes that run on into a lowercase word.
+ * @param {string} text
+ * @returns {number[]} Index just past the end of each sentence except the last
+ */
+export function findSentenceBoundaries(text) {
+  const boundaries = [];
+
+  for (let i = 0; i < text.length; i++) {
+    if (!TERMINATORS.includes(text[i])) continue;
+
+    const start = i;
+    while (TERMINATORS.includes(text[i + 1])) i++; // "?!", "..."
+    let end = i + 1;
+    while (end < text.length && CLOSERS.includes(text[end])) end++;
+    const quoted = end > i + 1;
+    i = end - 1;
+
+    // Latin punctuation needs a following space; CJK text has none
+    const cjk = CJK_TERMINATORS.includes(text[start]);
+    if (!cjk && !/\s/.test(text[end] ?? '')) continue;
+    const rest = text.slice(end).trimStart();
+    if (!rest) continue;
+
+    if (text[start] === '.' && i === start && endsWithAbbreviation(text.slice(0, start), rest)) continue;
+    // "I... I think" ends a sentence, "so... anyway" does not
+    const ellipsis = text[start] === '…' || text.slice(start, start + 3) === '...';
+    if (ellipsis && /^[a-z]/.test(rest)) continue;
+    // '"Stop!" she said.' is one sentence
+    if (quoted && /^\p{Ll}/u.test(rest)) continue;
+
+    boundaries.push(end);
+  }
+  return boundaries;
+}
+
+function endsWithAbbreviation(before, rest) {
+  const word = (before.match(/\S+$/)?.[0] ?? '').replace(/^["'“‘(\[]+/, '');
+  if (!word) return false;
+  if (/^\p{Lu}$/u.test(word) && word !== 'I') return true; // An initial, but not "So do I."
+  if (AMBIGUOUS_ABBREVIATIONS.has(word.toLowerCase())) return /^[\d\p{Ll}]/u.test(rest);
+  if (/^(?:\p{L}\.)+\p{L}$/u.test(word)) return true; // e.g, i.e, U.S, a.m
+  return ABBREVIATIONS.has(word.toLowerCase());
+}
+
+/**
+ * Split text into trimmed sentences.
+ * @param {string} text
+ * @returns {string[]}
+ */
+export function splitSentences(text) {
+  const sentences = [];
+  let prev = 0;
+  for (const end of [...findSentenceBoundaries(text), text.length]) {
+    const sentence = text.slice(prev, end).trim();
+    if (sentence) sentences.push(sentence);
+    prev = end;
+  }
+  return sentences;
+}
+
+/**
+ * Split text into chunks of at most `maxChunkLength` characters, on paragraphs, then
+ * sentences, then clauses and words.
+ * @param {string} text
+ * @param {number} [maxChunkLength=500]
+ * @param {Object} [options]
+ * @param {number} [options.firstChunkLength] Keep the first chunk at most this long, so the
+ *   first audio of a long request is ready sooner
+ * @returns {string[]}
+ */
+export function splitTextSmart(text, maxChunkLength = 500, { firstChunkLength } = {}) {
   const paragraphChunks = text.split(/\n\s*\n/);
   const finalChunks = [];
 
@@ -8,13 +96,10 @@ export function splitTextSmart(text, maxChunkLength = 500) {
       continue;
     }
 
-    const sentenceRegex = /(?<=[.?!])(?=\s+["“”'a-z])/gi;
-    const sentences = para.split(sentenceRegex);
+    const sentences = splitSentences(para);
 
     let chunk = '';
     for (let sentence of sentences) {
-      sentence = sentence.trim();
-
       if (sentence.length > maxChunkLength) {
         // Sentence too long — fallback split
         const subChunks = splitLongSentence(sentence, maxChunkLength);
@@ -39,14 +124,33 @@ export function splitTextSmart(text, maxChunkLength = 500) {
     if (chunk) finalChunks.push(chunk.trim());
   }
 
+  if (firstChunkLength && finalChunks[0]?.length > firstChunkLength) {
+    finalChunks.splice(0, 1, ...splitHead(finalChunks[0], firstChunkLength));
+  }
   return finalChunks;
 }
 
+// Cut a short head off a chunk at the last sentence end, clause or word that fits
+function splitHead(chunk, maxLen) {
+  const fits = (index) => index > 0 && index <= maxLen;
+  const sentenceEnd = findSentenceBoundaries(chunk).filter(fits).pop();
+  // A lone "Well," sounds clipped, so clauses must fill a third of the head
+  const clauseEnd = [...chunk.matchAll(/[,;:—–](?=\s)/g)]
+    .map((m) => m.index + 1)
+    .filter((index) => fits(index) && index >= maxLen / 3)
+    .pop();
+  const wordEnd = [...chunk.matchAll(/\s+/g)].map((m) => m.index).filter(fits).pop();
+
+  const cut = sentenceEnd ?? clauseEnd ?? wordEnd;
+  if (cut === undefined) return [chunk];
+  return [chunk.slice(0, cut).trim(), chunk.slice(cut).trim()];
+}
+
 export function splitLongSentence(sentence, maxLen) {
   const chunks = [];
   let current = '';
 
-  const commaParts = sentence.split(/,\s*/);
+  const commaParts = sentence.split(/,\s+|(?<!\d),(?!\d)/); // Keep "1,000" whole
   for (let part of commaParts) {
     if ((current + ', ' + part).length > maxLen) {
       if (current) chunks.push(current.trim());
@@ -75,6 +179,51 @@ export function splitLongSentence(sentence, maxLen) {
   return chunks;
 }
 
+/**
+ * Split text like `splitTextSmart`, then keep splitting any chunk whose phonemized length is
+ * over the model's token budget, so nothing gets truncated.
+ * @param {string} text
+ * @param {Object} options
+ * @param {number} [options.maxChunkLength=300] Character limit for the first pass
+ * @param {number} [options.firstChunkLength] See `splitTextSmart`
+ * @param {number} options.maxTokens Token budget per chunk
+ * @param {(text: string) => Promise<number>} options.countTokens Phoneme token count of a chunk
+ * @returns {Promise<string[]>}
+ */
+export async function splitTextByTokens(text, { maxChunkLength = 300, firstChunkLength, maxTokens, countTokens }) {
+  const chunks = [];
+  for (const chunk of splitTextSmart(text, maxChunkLength, { firstChunkLength })) {
+    chunks.push(...(await fitChunkToTokens(chunk, maxTokens, countTokens)));
+  }
+  return chunks;
+}
+
+async function fitChunkToTokens(chunk, maxTokens, countTokens) {
+  if (!chunk) return [chunk];
+  const tokens = await countTokens(chunk);
+  if (tokens <= maxTokens) return [chunk];
+
+  console.warn(
+    `Chunk is ${tokens} phoneme tokens, over the ${maxTokens}-token limit; splitting it: "${chunk.slice(0, 60)}..."`
+  );
+
+  // Numbers and acronyms phonemize long, so aim below the limit in proportion
+  const maxLen = Math.floor((chunk.length * maxTokens) / tokens * 0.9);
+  let parts = maxLen > 0 ? splitTextSmart(chunk, maxLen).filter(Boolean) : [];
+  if (parts.length < 2) {
+    const words = chunk.split(/\s+/);
+    if (words.length < 2) return [chunk]; // One enormous word; nothing left to split on
+    const middle = Math.ceil(words.length / 2);
+    parts = [words.slice(0, middle).join(' '), words.slice(middle).join(' ')];
+  }
+
+  const fitted = [];
+  for (const part of parts) {
+    fitted.push(...(await fitChunkToTokens(part, maxTokens, countTokens)));
+  }
+  return fitted;
+}
+
 
 function splitTextSmartOld(text, maxChunkLength = 500) {
   const paragraphChunks = text.split(/\n\s*\n/); // Step 1: split on double returns
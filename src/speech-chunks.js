@@ -0,0 +1,47 @@
+import { splitTextByTokens, splitTextSmart } from "./semantic-split.js";
+import { isSSML, parseSSML } from "./ssml.js";
+
+/**
+ * Turn the text of one request into the chunks Kokoro generates one at a time.
+ * SSML is parsed first; its breaks become silent chunks.
+ * @param {string} text Plain text or SSML
+ * @param {Object} options
+ * @param {string} options.voice
+ * @param {number} [options.speed=1]
+ * @param {number} [options.maxChunkLength=300] 300 characters per chunk for good balance
+ * @param {number} [options.firstChunkLength] Shorter limit for the request's first chunk,
+ *   so streaming playback can start sooner
+ * @param {number} [options.maxTokens] Phoneme token budget per chunk (see `MAX_PHONEME_TOKENS`)
+ * @param {(text: string, voice: string) => Promise<number>} [options.countTokens] When given,
+ *   chunks are measured and split further until they fit `maxTokens`
+ * @returns {Promise<({type: "text", text: string, voice: string, speed: number}|{type: "break", duration: number})[]>}
+ */
+export async function buildSpeechChunks(
+  text,
+  { voice, speed = 1, maxChunkLength = 300, firstChunkLength, maxTokens, countTokens }
+) {
+  const segments = isSSML(text)
+    ? parseSSML(text, { voice, speed })
+    : [{ type: "text", text, voice, speed }];
+
+  const chunks = [];
+  for (const segment of segments) {
+    if (segment.type === "break") {
+      chunks.push(segment);
+      continue;
+    }
+
+    // Only the very first spoken chunk is kept short
+    const first = chunks.every((chunk) => chunk.type === "break") ? firstChunkLength : undefined;
+    const texts = countTokens
+      ? await splitTextByTokens(segment.text, {
+          maxChunkLength,
+          firstChunkLength: first,
+          maxTokens,
+          countTokens: (chunk) => countTokens(chunk, segment.voice),
+        })
+      : splitTextSmart(segment.text, maxChunkLength, { firstChunkLength: first });
+    chunks.push(...texts.map((chunk) => ({ ...segment, text: chunk })));
+  }
+  return chunks;
+}
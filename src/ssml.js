@@ -0,0 +1,314 @@
+// A practical SSML subset for Kokoro: <speak>, <break>, <prosody rate>, <say-as>, <sub>, <voice>, <p>, <s>
+const TAG_PATTERN = /<(\/?)([a-z][\w-]*)((?:\s+[\w-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>/gi;
+const ATTRIBUTE_PATTERN = /([\w-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+const KNOWN_TAGS = ["speak", "break", "prosody", "say-as", "sub", "voice", "p", "s"];
+
+// Punctuation that closes what came before it, e.g. the "." in `<voice ...>Hi</voice>.`
+const LEADING_CLOSERS = /^[.,!?;:…。！？、)\]}”’»]+/u;
+
+const MIN_SPEED = 0.5;
+const MAX_SPEED = 2;
+
+const RATE_KEYWORDS = {
+  "x-slow": 0.6,
+  slow: 0.8,
+  medium: 1,
+  default: 1,
+  fast: 1.25,
+  "x-fast": 1.5,
+};
+
+// Pause lengths in seconds for <break strength="...">
+const BREAK_STRENGTHS = {
+  none: 0,
+  "x-weak": 0.1,
+  weak: 0.25,
+  medium: 0.5,
+  strong: 0.75,
+  "x-strong": 1.2,
+};
+
+const MONTHS = [
+  "January", "February", "March", "April", "May", "June",
+  "July", "August", "September", "October", "November", "December",
+];
+
+const ONES = [
+  "zero", "one", "two", "three", "four", "five", "six", "seven", "eight", "nine", "ten",
+  "eleven", "twelve", "thirteen", "fourteen", "fifteen", "sixteen", "seventeen", "eighteen", "nineteen",
+];
+const TENS = ["", "", "twenty", "thirty", "forty", "fifty", "sixty", "seventy", "eighty", "ninety"];
+const SCALES = [
+  [1e12, "trillion"],
+  [1e9, "billion"],
+  [1e6, "million"],
+  [1e3, "thousand"],
+];
+
+/**
+ * Check whether text should be treated as SSML: either wrapped in <speak> or
+ * containing one of the supported tags.
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isSSML(text) {
+  for (const match of text.matchAll(TAG_PATTERN)) {
+    if (KNOWN_TAGS.includes(match[2].toLowerCase())) return true;
+  }
+  return false;
+}
+
+/**
+ * Parse SSML into a flat list of text and silence segments.
+ * @param {string} ssml The SSML (or plain text with SSML tags)
+ * @param {Object} defaults The voice and speed to use outside of <voice>/<prosody>
+ * @param {string} defaults.voice
+ * @param {number} [defaults.speed=1]
+ * @returns {({type: "text", text: string, voice: string, speed: number}|{type: "break", duration: number})[]}
+ */
+export function parseSSML(ssml, { voice, speed = 1 } = {}) {
+  const segments = [];
+  const stack = [{ tag: null, voice, speed }];
+  const top = () => stack[stack.length - 1];
+
+  const pushText = (text) => {
+    if (!text) return;
+    const { voice, speed } = top();
+    const last = segments[segments.length - 1];
+    if (last?.type === "text" && last.voice === voice && last.speed === speed) {
+      last.text += text;
+    } else {
+      segments.push({ type: "text", text, voice, speed });
+    }
+  };
+
+  const pushBreak = (duration) => {
+    if (duration <= 0) return;
+    const last = segments[segments.length - 1];
+    if (last?.type === "break") {
+      last.duration += duration;
+    } else {
+      segments.push({ type: "break", duration });
+    }
+  };
+
+  let prev = 0;
+  for (const match of ssml.matchAll(TAG_PATTERN)) {
+    handleText(ssml.slice(prev, match.index));
+    prev = match.index + match[0].length;
+
+    const [, closing, rawName, rawAttributes, selfClosing] = match;
+    const name = rawName.toLowerCase();
+    const attributes = parseAttributes(rawAttributes);
+
+    if (closing) {
+      // Pop back to the matching open tag, tolerating unclosed children
+      const index = stack.findLastIndex((entry) => entry.tag === name);
+      if (index > 0) {
+        const [closed] = stack.splice(index);
+        if (name === "say-as" && closed.sayAs) pushText(sayAs(closed.sayAs.buffer, closed.sayAs));
+      }
+      if (name === "p") handleText("\n\n"); // Inside <say-as> too, after its buffered text
+      continue;
+    }
+
+    switch (name) {
+      case "break":
+        pushBreak(parseBreak(attributes));
+        continue;
+      case "prosody":
+        if (!selfClosing) {
+          stack.push({ ...top(), tag: name, speed: parseRate(attributes.rate, top().speed) });
+        }
+        continue;
+      case "voice":
+        if (!selfClosing) {
+          stack.push({ ...top(), tag: name, voice: attributes.name || top().voice });
+        }
+        continue;
+      case "sub":
+        pushText(attributes.alias ?? "");
+        if (!selfClosing) stack.push({ ...top(), tag: name, skip: attributes.alias !== undefined });
+        continue;
+      case "say-as":
+        if (!selfClosing) {
+          stack.push({
+            ...top(),
+            tag: name,
+            // Tags nested inside share this object, so their text lands in the same buffer
+            sayAs: {
+              interpretAs: (attributes["interpret-as"] || "").toLowerCase(),
+              format: attributes.format,
+              buffer: "",
+            },
+          });
+        }
+        continue;
+      case "p":
+        handleText("\n\n");
+        continue;
+      default:
+        // <speak>, <s> and unsupported tags only group text, keeping any enclosing <say-as>
+        if (!selfClosing) stack.push({ ...top(), tag: name });
+    }
+  }
+  handleText(ssml.slice(prev));
+
+  const result = [];
+  for (const segment of segments) {
+    if (segment.type === "break") {
+      result.push(segment);
+      continue;
+    }
+    let text = segment.text.replace(/[^\S\n]+/g, " ").replace(/ (?=[.,!?;:])/g, "").trim();
+    // Punctuation after </voice> or </prosody> ends the previous segment's sentence,
+    // rather than being spoken as a chunk of its own
+    const closers = text.match(LEADING_CLOSERS)?.[0];
+    const last = result[result.length - 1];
+    if (closers && last?.type === "text") {
+      last.text += closers;
+      text = text.slice(closers.length).trim();
+    }
+    if (/^[\p{P}\s]*$/u.test(text)) continue;
+    result.push({ ...segment, text });
+  }
+  return result;
+
+  function handleText(raw) {
+    if (!raw) return;
+    const text = decodeEntities(raw);
+    const state = top();
+    if (state.skip) return;
+    if (state.sayAs) {
+      state.sayAs.buffer += text;
+      return;
+    }
+    pushText(text);
+  }
+}
+
+function parseAttributes(raw) {
+  const attributes = {};
+  for (const [, name, doubleQuoted, singleQuoted] of raw.matchAll(ATTRIBUTE_PATTERN)) {
+    attributes[name.toLowerCase()] = decodeEntities(doubleQuoted ?? singleQuoted);
+  }
+  return attributes;
+}
+
+function decodeEntities(text) {
+  return text
+    .replace(/&lt;/g, "<")
+    .replace(/&gt;/g, ">")
+    .replace(/&quot;/g, '"')
+    .replace(/&apos;/g, "'")
+    .replace(/&amp;/g, "&");
+}
+
+/**
+ * Convert a <break> to seconds of silence. `time` wins over `strength`.
+ * @returns {number}
+ */
+function parseBreak({ time, strength }) {
+  if (time) {
+    const match = time.trim().match(/^(\d+(?:\.\d+)?)\s*(ms|s)?$/i);
+    if (match) {
+      const value = Number(match[1]);
+      return match[2]?.toLowerCase() === "ms" ? value / 1000 : value;
+    }
+    console.warn(`SSML: ignoring invalid break time "${time}"`);
+  }
+  return BREAK_STRENGTHS[strength?.toLowerCase()] ?? BREAK_STRENGTHS.medium;
+}
+
+/**
+ * Map a <prosody rate> to Kokoro's speed input, relative to the enclosing speed.
+ * @param {string|undefined} rate Keyword ("slow"), percentage ("80%", "+20%") or multiplier ("1.2")
+ * @param {number} baseSpeed
+ * @returns {number}
+ */
+export function parseRate(rate, baseSpeed = 1) {
+  if (!rate) return baseSpeed;
+  const value = rate.trim().toLowerCase();
+
+  let speed = baseSpeed;
+  if (RATE_KEYWORDS.hasOwnProperty(value)) {
+    speed = baseSpeed * RATE_KEYWORDS[value];
+  } else if (/^[+-]\d+(\.\d+)?%$/.test(value)) {
+    speed = baseSpeed * (1 + parseFloat(value) / 100);
+  } else if (/^\d+(\.\d+)?%$/.test(value)) {
+    speed = baseSpeed * (parseFloat(value) / 100);
+  } else if (/^\d+(\.\d+)?$/.test(value)) {
+    speed = baseSpeed * parseFloat(value);
+  } else {
+    console.warn(`SSML: ignoring invalid prosody rate "${rate}"`);
+  }
+  return Math.min(MAX_SPEED, Math.max(MIN_SPEED, speed));
+}
+
+function sayAs(text, { interpretAs, format }) {
+  text = text.trim();
+  switch (interpretAs) {
+    case "characters":
+    case "spell-out":
+      return ` ${[...text.replace(/\s+/g, "")].join(" ")} `;
+    case "cardinal":
+    case "number": {
+      const value = Number(text.replace(/,/g, ""));
+      return Number.isInteger(value) ? ` ${numberToWords(value)} ` : text;
+    }
+    case "date":
+      return ` ${formatDate(text, format)} `;
+    default:
+      return text;
+  }
+}
+
+/**
+ * Spell out an integer in English words.
+ * @param {number} n
+ * @returns {string}
+ */
+export function numberToWords(n) {
+  if (n < 0) return `minus ${numberToWords(-n)}`;
+  if (n < 20) return ONES[n];
+  if (n < 100) return TENS[Math.floor(n / 10)] + (n % 10 ? `-${ONES[n % 10]}` : "");
+  if (n < 1000) {
+    const rest = n % 100;
+    return `${ONES[Math.floor(n / 100)]} hundred${rest ? ` ${numberToWords(rest)}` : ""}`;
+  }
+  for (const [scale, word] of SCALES) {
+    if (n >= scale) {
+      const rest = n % scale;
+      return `${numberToWords(Math.floor(n / scale))} ${word}${rest ? ` ${numberToWords(rest)}` : ""}`;
+    }
+  }
+  return String(n);
+}
+
+function ordinalSuffix(day) {
+  if (day % 100 >= 11 && day % 100 <= 13) return "th";
+  return { 1: "st", 2: "nd", 3: "rd" }[day % 10] || "th";
+}
+
+/**
+ * Read a numeric date aloud. ISO dates (2024-03-15) are always year-month-day;
+ * otherwise `format` picks the field order (mdy by default).
+ */
+function formatDate(text, format = "mdy") {
+  const parts = text.split(/[-/.]/).map((part) => part.trim());
+  if (parts.length < 2 || parts.some((part) => !/^\d+$/.test(part))) return text;
+
+  const order = /^\d{4}$/.test(parts[0]) ? "ymd" : (format || "mdy").toLowerCase();
+  const fields = {};
+  [...order].forEach((field, i) => {
+    if (parts[i] !== undefined) fields[field] = Number(parts[i]);
+  });
+
+  const month = MONTHS[fields.m - 1];
+  if (!month) return text;
+
+  let spoken = month;
+  if (fields.d) spoken += ` ${fields.d}${ordinalSuffix(fields.d)}`;
+  if (fields.y !== undefined) spoken += `, ${fields.y}`;
+  return spoken;
+}
@@ -0,0 +1,53 @@
+const SAMPLE_RATE = 24000;
+const BENCHMARK_VOICE = "af_nicole";
+
+// Fixed passage so runs with different settings can be compared
+export const BENCHMARK_TEXT =
+  "The quick brown fox jumps over the lazy dog. " +
+  "Streaming speech only feels live when each sentence is ready before the last one ends, " +
+  "so we measure how long the first chunk takes and how fast the rest keeps up. " +
+  "This passage is long enough to need several chunks, yet short enough to finish in a few seconds.";
+
+/**
+ * Synthesize the benchmark passage without playing it.
+ * @param {import("./TTSClient.js").TTSClient} ttsClient A client whose model is ready
+ * @returns {Promise<{firstChunkLatency: number, totalTime: number, audioDuration: number, rtf: number}>}
+ *   Times in milliseconds, audio duration in seconds; the real-time factor is generation time
+ *   divided by audio duration, so below 1 is faster than real time
+ */
+export async function runBenchmark(ttsClient) {
+  // The worker runs one request at a time, so any speech in progress would be timed too
+  if (ttsClient.busy) {
+    throw new Error("Wait for the current speech to finish");
+  }
+
+  const started = performance.now();
+  let firstChunkLatency = null;
+  let samples = 0;
+  let received = 0;
+
+  // Top priority, so speech requested during the run waits until it is done
+  const speech = ttsClient.speak(BENCHMARK_TEXT, { voice: BENCHMARK_VOICE, priority: 2 });
+  for await (const chunk of speech) {
+    firstChunkLatency ??= performance.now() - started;
+    samples += chunk.audio.length;
+    // Nothing is played, so hand the buffer credit straight back
+    ttsClient.acknowledge(speech.id, ++received);
+  }
+
+  const totalTime = performance.now() - started;
+  // Stopped, or the worker restarted: partial audio would give a meaningless real-time factor
+  if (speech.cancelled) {
+    throw new Error("The benchmark was cancelled before it finished");
+  }
+  if (samples === 0) {
+    throw new Error("The benchmark produced no audio");
+  }
+  const audioDuration = samples / SAMPLE_RATE;
+  return {
+    firstChunkLatency,
+    totalTime,
+    audioDuration,
+    rtf: totalTime / 1000 / audioDuration,
+  };
+}
@@ -0,0 +1,132 @@
+// Message schema shared by tts-worker.js and TTSClient. Requests to the worker are keyed
+// by `type`, events from the worker by `status`; every message carries the protocol version.
+export const PROTOCOL_VERSION = 1;
+
+// Field specs: a type name, with "?" for optional fields. "id" is a job id (number or string).
+const REQUESTS = {
+  load: {
+    device: "string?",
+    dtype: "string?",
+    modelUrl: "string?",
+    voicesUrl: "string?",
+    wasmUrl: "string?",
+  },
+  generate: { id: "id", text: "string", voice: "string?", speed: "number?", priority: "number?" },
+  cancel: { id: "id" },
+  stop: {},
+  configure: { maxQueueSize: "number?" },
+  set_custom_voices: { voices: "object" },
+  buffer_processed: { id: "id", played: "number" },
+};
+
+const EVENTS = {
+  loading_model_start: { device: "string" },
+  loading_model_progress: { progress: "object" },
+  loading_model_ready: { voices: "object", device: "string", dtype: "string" },
+  device_fallback: { from: "string", to: "string", reason: "string" },
+  chunk_count: { id: "id", count: "number", texts: "array?" },
+  chunk_start: { id: "id", index: "number", text: "string" },
+  stream_audio_data: {
+    id: "id",
+    audio: "arraybuffer",
+    text: "string",
+    visemes: "array",
+    words: "array",
+    timing: "string",
+    index: "number?",
+    generationTime: "number?",
+  },
+  complete: { id: "id" },
+  cancelled: { id: "id" },
+  error: { id: "id?", error: "string" },
+};
+
+/**
+ * Build a request for the worker.
+ * @param {keyof typeof REQUESTS} type
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+export function createRequest(type, fields = {}) {
+  return assertValid({ v: PROTOCOL_VERSION, type, ...fields }, "type", REQUESTS);
+}
+
+/**
+ * Build an event for the main thread.
+ * @param {keyof typeof EVENTS} status
+ * @param {Object} [fields]
+ * @returns {Object}
+ */
+export function createEvent(status, fields = {}) {
+  return assertValid({ v: PROTOCOL_VERSION, status, ...fields }, "status", EVENTS);
+}
+
+/**
+ * Check a request received by the worker.
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+export function validateRequest(message) {
+  return validate(message, "type", REQUESTS);
+}
+
+/**
+ * Check an event received from the worker.
+ * @returns {string|null} What is wrong with it, or null when it is valid
+ */
+export function validateEvent(message) {
+  return validate(message, "status", EVENTS);
+}
+
+function assertValid(message, kindField, schemas) {
+  const problem = validate(message, kindField, schemas);
+  if (problem) {
+    throw new Error(`Invalid TTS message: ${problem}`);
+  }
+  return message;
+}
+
+function validate(message, kindField, schemas) {
+  if (!message || typeof message !== "object") {
+    return "message is not an object";
+  }
+  if (message.v !== PROTOCOL_VERSION) {
+    return `unsupported protocol version ${message.v} (expected ${PROTOCOL_VERSION})`;
+  }
+
+  const kind = message[kindField];
+  const schema = schemas[kind];
+  if (!schema) {
+    return `unknown ${kindField} "${kind}"`;
+  }
+
+  for (const [field, spec] of Object.entries(schema)) {
+    const optional = spec.endsWith("?");
+    const type = optional ? spec.slice(0, -1) : spec;
+    const value = message[field];
+    if (value === undefined || value === null) {
+      if (optional) continue;
+      return `${kind}: missing "${field}"`;
+    }
+    if (!matchesType(value, type)) {
+      return `${kind}: "${field}" should be ${type}`;
+    }
+  }
+  return null;
+}
+
+function matchesType(value, type) {
+  switch (type) {
+    case "id":
+      return typeof value === "number" || typeof value === "string";
+    case "number":
+      return typeof value === "number" && Number.isFinite(value);
+    case "array":
+      return Array.isArray(value);
+    case "arraybuffer":
+      return value instanceof ArrayBuffer;
+    case "object":
+      return typeof value === "object" && !Array.isArray(value);
+    default:
+      return typeof value === type;
+  }
+}
@@ -1,6 +1,9 @@
-import { KokoroTTS } from "./kokoro.js";
+import { KokoroTTS, MAX_PHONEME_TOKENS, ModelRunError, SAMPLE_RATE } from "./kokoro.js";
+import { setCustomVoices, setVoiceDataUrl } from "./voices.js";
 import { env } from "./transformers.min.js";
-import { splitTextSmart } from "./semantic-split.js";
+import { buildSpeechChunks } from "./speech-chunks.js";
+import { buildVisemeTrack } from "./visemes.js";
+import { createEvent, validateRequest } from "./tts-protocol.js";
 
 async function detectWebGPU() {
   try {
@@ -31,111 +34,389 @@ async function detectWebGPU() {
   }
 }
 
-const device = (await detectWebGPU()) ? "webgpu" : "wasm";
-console.log(`Using device: ${device}`);
-self.postMessage({ status: "loading_model_start", device });
+const REMOTE_MODEL_ID = "onnx-community/Kokoro-82M-v1.0-ONNX";
 
-let model_id = "onnx-community/Kokoro-82M-v1.0-ONNX";
+// Files a local model folder needs, besides the ONNX weights for the chosen dtype
+const MODEL_FILES = ["config.json", "tokenizer.json", "tokenizer_config.json"];
+const ONNX_FILES = {
+  fp32: "model.onnx",
+  fp16: "model_fp16.onnx",
+  q8: "model_quantized.onnx",
+  q4: "model_q4.onnx",
+  q4f16: "model_q4f16.onnx",
+};
 
-if (self.location.hostname === "localhost2") {
-  env.allowLocalModels = true;
-  model_id = "./my_model/";
-}
+// Folder the model is served from, when it is not downloaded from the Hugging Face Hub
+let modelUrl = null;
+
+const DEVICES = ["webgpu", "wasm"];
+const DTYPES = ["fp32", "fp16", "q8", "q4", "q4f16"];
+
+// After this many failed chunks in a row on WebGPU, the rest of the session runs on WASM
+const MAX_GPU_FAILURES = 2;
 
-const tts = await KokoroTTS.from_pretrained(model_id, {
-  dtype: device === "wasm" ? "q8" : "fp32",
-  device,
-  progress_callback: (progress) => {
-    self.postMessage({ status: "loading_model_progress", progress });
-  },
-}).catch((e) => {
-  self.postMessage({ status: "error", error: e.message });
-  throw e;
+let device;
+let dtype;
+let tts;
+let gpuFailures = 0;
+// Set once the switch to WASM has started; it only ever happens once per worker
+let fallback = null;
+
+// The model loads once, with the settings of the first `load` request; jobs queued
+// before then wait for it, and fail if it does not load. Other settings need a new worker.
+let loadRequested = false;
+let resolveModelReady;
+let rejectModelReady;
+const modelReady = new Promise((resolve, reject) => {
+  resolveModelReady = resolve;
+  rejectModelReady = reject;
 });
+modelReady.catch(() => {}); // Reported to each waiting job by processQueue
 
-self.postMessage({ status: "loading_model_ready", voices: tts.voices, device });
+// Backpressure: a job may have at most `maxQueueSize` chunks sent but not yet played.
+// The player acknowledges with the total number of chunks it has played for the job,
+// so a lost acknowledgment is made good by the next one.
+const DEFAULT_MAX_QUEUE_SIZE = 6;
+let maxQueueSize = DEFAULT_MAX_QUEUE_SIZE;
 
-// Track how many buffers are currently in the queue
-let bufferQueueSize = 0;
-const MAX_QUEUE_SIZE = 6;
-let shouldStop = false;
-let isGenerating = false; // Track if we're currently generating to prevent session conflicts
+// A short first chunk gets audio playing sooner; later chunks can be long
+const FIRST_CHUNK_LENGTH = 100;
 
-self.addEventListener("message", async (e) => {
-  const { type, text, voice } = e.data;
+// Jobs waiting to be generated, highest priority first (FIFO within a priority),
+// and the one being generated now. Every job message carries the job id.
+const pendingJobs = [];
+let activeJob = null;
 
-  if (type === "stop") {
-    bufferQueueSize = 0;
-    shouldStop = true;
-    isGenerating = false; // Reset generation flag
-    console.log("Stop command received, stopping generation");
+self.addEventListener("message", (e) => {
+  const problem = validateRequest(e.data);
+  if (problem) {
+    console.error("Rejected TTS request:", problem, e.data);
+    const id = typeof e.data?.id === "number" || typeof e.data?.id === "string" ? e.data.id : undefined;
+    send("error", { id, error: `Rejected request: ${problem}` });
     return;
   }
 
-  if (type === "buffer_processed") {
-    bufferQueueSize = Math.max(0, bufferQueueSize - 1);
+  const { type, id } = e.data;
+
+  switch (type) {
+    case "load":
+      if (loadRequested) {
+        send("error", { error: "The model is already loaded; start a new worker to change device or dtype" });
+        break;
+      }
+      loadRequested = true;
+      startModel(e.data).catch((error) => console.error("Model loading failed:", error));
+      break;
+
+    case "generate":
+      enqueueJob(e.data);
+      break;
+
+    case "cancel":
+      cancelJob(id);
+      break;
+
+    case "stop":
+      // Cancel everything, queued jobs included
+      for (const job of [...pendingJobs]) cancelJob(job.id);
+      if (activeJob) cancelJob(activeJob.id);
+      console.log("Stop command received, stopping generation");
+      break;
+
+    case "configure":
+      if (Number.isInteger(e.data.maxQueueSize) && e.data.maxQueueSize > 0) {
+        maxQueueSize = e.data.maxQueueSize;
+        console.log(`Buffering up to ${maxQueueSize} chunks ahead`);
+        activeJob?.resume?.(); // A larger window frees credits right away
+      }
+      break;
+
+    case "set_custom_voices":
+      setCustomVoices(e.data.voices);
+      console.log(`${Object.keys(e.data.voices).length} custom voices registered`);
+      break;
+
+    case "buffer_processed":
+      if (activeJob && activeJob.id === id) {
+        activeJob.playedChunks = Math.max(activeJob.playedChunks, e.data.played);
+        activeJob.resume?.();
+      }
+      break;
+  }
+});
+
+function enqueueJob({ id, text, voice, speed, priority = 0 }) {
+  const job = {
+    id,
+    text,
+    voice: voice || "af_nicole",
+    speed: speed || 1,
+    priority,
+    cancelled: false,
+    sentChunks: 0,
+    playedChunks: 0,
+    resume: null, // Wakes the generation loop while it waits for credit
+  };
+  const index = pendingJobs.findIndex((pending) => pending.priority < priority);
+  pendingJobs.splice(index === -1 ? pendingJobs.length : index, 0, job);
+  console.log(`Queued job ${id} (priority ${priority}, ${pendingJobs.length} waiting)`);
+
+  if (!activeJob) processQueue();
+}
+
+function cancelJob(id) {
+  const index = pendingJobs.findIndex((job) => job.id === id);
+  if (index !== -1) {
+    pendingJobs.splice(index, 1);
+    send("cancelled", { id });
     return;
   }
+  // The running job notices between chunks and reports itself
+  if (activeJob && activeJob.id === id) {
+    activeJob.cancelled = true;
+    activeJob.resume?.();
+  }
+}
+
+async function processQueue() {
+  while (pendingJobs.length > 0) {
+    activeJob = pendingJobs.shift();
+    try {
+      await modelReady;
+    } catch (error) {
+      // Without a model nothing can run, so fail every waiting job instead of leaving it hanging
+      for (const job of [activeJob, ...pendingJobs.splice(0)]) {
+        send("error", { id: job.id, error: `Model failed to load: ${error.message}` });
+      }
+      break;
+    }
+    try {
+      await runJob(activeJob);
+    } catch (error) {
+      console.error("Error in generate process:", error);
+      send("error", { id: activeJob.id, error: error.message });
+    }
+  }
+  activeJob = null;
+}
+
+async function runJob(job) {
+  const { id } = job;
+  const chunks = await buildSpeechChunks(job.text, {
+    voice: job.voice,
+    speed: job.speed,
+    firstChunkLength: FIRST_CHUNK_LENGTH,
+    maxTokens: MAX_PHONEME_TOKENS,
+    countTokens: (text, voice) => tts.count_tokens(text, { voice }),
+  });
+  // The chunk texts let the main thread show what is coming and estimate the time left
+  send("chunk_count", {
+    id,
+    count: chunks.length,
+    texts: chunks.map((chunk) => (chunk.type === "break" ? "" : chunk.text)),
+  });
+
+  for (const [index, chunk] of chunks.entries()) {
+    if (job.cancelled) break;
+    console.log(`Job ${id} processing chunk:`, chunk.type === "break" ? `<break ${chunk.duration}s>` : chunk.text);
 
-  if (type === "generate" && text) {
-    // Prevent overlapping generation sessions
-    if (isGenerating) {
-      console.log("Already generating, ignoring request");
+    await waitForCredit(job);
+    if (job.cancelled) break;
+
+    if (chunk.type === "break") {
+      const silence = new Float32Array(Math.round(chunk.duration * SAMPLE_RATE));
+      let ab = silence.buffer;
+
+      job.sentChunks++;
+      send(
+        "stream_audio_data",
+        {
+          id,
+          audio: ab,
+          text: "",
+          visemes: [{ time: 0, viseme: "closed" }],
+          words: [],
+          timing: "model",
+          index,
+          generationTime: 0,
+        },
+        [ab]
+      );
+      continue;
+    }
+
+    try {
+      send("chunk_start", { id, index, text: chunk.text });
+      const started = performance.now();
+      const { audio, tokens, words, timing } = await generateChunk(chunk); // audio is transformers RawAudio
+
+      const visemes = buildVisemeTrack(tokens);
+      let ab = audio.audio.buffer;
+
+      job.sentChunks++;
+      const generationTime = performance.now() - started;
+      send(
+        "stream_audio_data",
+        { id, audio: ab, text: chunk.text, visemes, words, timing, index, generationTime },
+        [ab]
+      );
+    } catch (generateError) {
+      console.error("Error generating audio for chunk:", generateError);
+      send("error", { id, error: `Audio generation failed: ${generateError.message}` });
       return;
     }
-    
-    shouldStop = false;
-    isGenerating = true;
-    
+  }
+
+  send(job.cancelled ? "cancelled" : "complete", { id });
+}
+
+// "auto" (or no setting) picks WebGPU when it works; dtype defaults to fp32 on WebGPU, q8 on WASM
+async function startModel({ device: requestedDevice, dtype: requestedDtype, ...sources }) {
+  configureSources(sources);
+
+  let newDevice = DEVICES.includes(requestedDevice) ? requestedDevice : "webgpu";
+  if (newDevice === "webgpu" && !(await detectWebGPU())) {
+    if (requestedDevice === "webgpu") console.warn("WebGPU was requested but is not available");
+    newDevice = "wasm";
+  }
+  const newDtype = DTYPES.includes(requestedDtype) ? requestedDtype : newDevice === "wasm" ? "q8" : "fp32";
+
+  try {
+    await loadModel(newDevice, newDtype);
+  } catch (error) {
+    rejectModelReady(error);
+    throw error;
+  }
+  resolveModelReady();
+}
+
+async function loadModel(newDevice, newDtype) {
+  device = newDevice;
+  dtype = newDtype;
+  console.log(`Using device: ${device} (${dtype})`);
+  send("loading_model_start", { device });
+
+  try {
+    if (modelUrl) await checkModelFiles(dtype);
+    tts = await KokoroTTS.from_pretrained(modelUrl ? "." : REMOTE_MODEL_ID, {
+      dtype,
+      device,
+      progress_callback: (progress) => {
+        send("loading_model_progress", { progress });
+      },
+    });
+  } catch (e) {
+    send("error", { error: e.message });
+    throw e;
+  }
+
+  send("loading_model_ready", { voices: tts.voices, device, dtype });
+  if (device === "webgpu") watchGPUDevice();
+}
+
+// Point the model, voices and ONNX runtime at custom URLs, so the app can run offline
+function configureSources({ modelUrl: model, voicesUrl, wasmUrl }) {
+  if (model) {
+    modelUrl = model.endsWith("/") ? model : `${model}/`;
+    // The model id "." then resolves to the folder itself; the Hub is never contacted
+    env.allowLocalModels = true;
+    env.allowRemoteModels = false;
+    env.localModelPath = modelUrl;
+    console.log(`Loading Kokoro from ${modelUrl}`);
+  }
+  // Voices sit in voices/ next to the model, as on the Hub
+  const voices = voicesUrl ?? (modelUrl && `${modelUrl}voices`);
+  if (voices) setVoiceDataUrl(voices);
+  if (wasmUrl) {
+    env.backends.onnx.wasm.wasmPaths = wasmUrl.endsWith("/") ? wasmUrl : `${wasmUrl}/`;
+  }
+}
+
+// Fail with a list of what is missing, instead of a parse error on a 404 page
+async function checkModelFiles(dtype) {
+  const missing = [];
+  for (const file of [...MODEL_FILES, `onnx/${ONNX_FILES[dtype]}`]) {
+    if (!(await isServed(new URL(file, modelUrl)))) missing.push(file);
+  }
+  if (missing.length > 0) {
+    throw new Error(`The Kokoro model at ${modelUrl} is missing ${missing.join(", ")}`);
+  }
+}
+
+async function isServed(url) {
+  try {
+    const response = await fetch(url, { method: "HEAD" });
+    // Dev servers answer missing files with the app's index.html
+    return response.ok && !response.headers.get("content-type")?.includes("text/html");
+  } catch (e) {
+    return false;
+  }
+}
+
+// onnxruntime publishes its GPUDevice once the WebGPU backend is up
+async function watchGPUDevice() {
+  const gpuDevice = await env.backends.onnx.webgpu?.device;
+  gpuDevice?.lost.then((info) => {
+    console.warn("WebGPU device lost:", info.reason, info.message);
+    fallBackToWasm(`GPU device lost${info.message ? `: ${info.message}` : ""}`);
+  });
+}
+
+// Reload the model on the CPU; chunks wait for it and then retry
+function fallBackToWasm(reason) {
+  fallback ??= (async () => {
+    console.warn(`Switching TTS from WebGPU to WASM: ${reason}`);
+    send("device_fallback", { from: device, to: "wasm", reason });
+    const lost = tts;
+    await loadModel("wasm", "q8");
     try {
-      let chunks = splitTextSmart(text, 300); // 300 characters per chunk for good balance
-
-      self.postMessage({ status: "chunk_count", count: chunks.length });
-
-      for (const chunk of chunks) {
-        if (shouldStop) {
-          console.log("Stopping audio generation");
-          break;
-        }
-        console.log("Processing chunk:", chunk);
-
-        while (bufferQueueSize >= MAX_QUEUE_SIZE && !shouldStop) {
-          console.log("Waiting for buffer space...");
-          await new Promise((resolve) => setTimeout(resolve, 1000));
-          if (shouldStop) break;
-        }
-
-        // If stopped during wait, exit the main loop too
-        if (shouldStop) {
-          console.log("Stopping after queue wait");
-          break;
-        }
-
-        try {
-          const audio = await tts.generate(chunk, { voice: voice || "af_nicole" }); // This is transformers RawAudio
-          let ab = audio.audio.buffer;
-
-          bufferQueueSize++;
-          self.postMessage(
-            { status: "stream_audio_data", audio: ab, text: chunk },
-            [ab]
-          );
-        } catch (generateError) {
-          console.error("Error generating audio for chunk:", generateError);
-          self.postMessage({ status: "error", error: `Audio generation failed: ${generateError.message}` });
-          break;
-        }
-      }
+      await lost.model.dispose();
+    } catch (e) {
+      // The GPU session may already be gone with the device
+    }
+  })();
+  fallback.catch(() => {}); // loadModel has reported the error; waiting chunks rethrow it
+  return fallback;
+}
 
-      // Only send complete if we weren't stopped
-      if (!shouldStop) {
-        self.postMessage({ status: "complete" });
-      }
+// Generate one chunk, moving to WASM and retrying it if WebGPU keeps failing
+async function generateChunk(chunk) {
+  // An unknown voice (e.g. from SSML) or one that fails to download is not the GPU's fault
+  await tts.load_voice(chunk.voice);
+  while (true) {
+    if (fallback) await fallback;
+    const usedDevice = device;
+    try {
+      const result = await tts.generate(chunk.text, {
+        voice: chunk.voice,
+        speed: chunk.speed,
+        return_timestamps: true,
+      });
+      gpuFailures = 0;
+      return result;
     } catch (error) {
-      console.error("Error in generate process:", error);
-      self.postMessage({ status: "error", error: error.message });
-    } finally {
-      isGenerating = false; // Always reset the flag
+      // Only failures of the model run itself count toward the fallback
+      if (usedDevice !== "webgpu" || !(error instanceof ModelRunError)) throw error;
+      gpuFailures++;
+      console.warn(`WebGPU generation failed (${gpuFailures}/${MAX_GPU_FAILURES}):`, error);
+      if (gpuFailures >= MAX_GPU_FAILURES) {
+        fallBackToWasm(`${gpuFailures} chunks failed on WebGPU: ${error.message}`);
+      }
     }
   }
-});
+}
+
+// Resolves as soon as the job may send another chunk, or is cancelled
+async function waitForCredit(job) {
+  while (!job.cancelled && job.sentChunks - job.playedChunks >= maxQueueSize) {
+    console.log("Waiting for buffer space...");
+    await new Promise((resolve) => {
+      job.resume = resolve;
+    });
+    job.resume = null;
+  }
+}
+
+function send(status, fields = {}, transfer = []) {
+  self.postMessage(createEvent(status, fields), transfer);
+}
@@ -0,0 +1,66 @@
+// Mouth shapes for each viseme: `open` feeds the mouth-open parameter (0..1),
+// `form` the mouth-form parameter (-1 = rounded/pursed, 1 = wide/smiling)
+export const VISEME_SHAPES = Object.freeze({
+  A: { open: 1, form: 0.2 },
+  I: { open: 0.35, form: 1 },
+  U: { open: 0.35, form: -1 },
+  E: { open: 0.6, form: 0.6 },
+  O: { open: 0.75, form: -0.6 },
+  closed: { open: 0, form: 0 },
+});
+
+const PHONEME_VISEMES = {
+  // Open vowels
+  a: "A", ɑ: "A", ɐ: "A", æ: "A", ʌ: "A",
+  // Front close vowels
+  i: "I", ɪ: "I", j: "I", y: "I",
+  // Rounded close vowels
+  u: "U", ʊ: "U", w: "U", ɯ: "U",
+  // Mid vowels
+  e: "E", ɛ: "E", ə: "E", ɜ: "E", ɚ: "E", ᵻ: "E",
+  // Rounded mid vowels
+  o: "O", ɔ: "O", ɒ: "O",
+  // Lips closed: bilabials and labiodentals
+  p: "closed", b: "closed", m: "closed", f: "closed", v: "closed",
+  // Rounded consonants
+  ʃ: "U", ʒ: "U", ɹ: "U",
+};
+
+const PAUSE_PATTERN = /[;:,.!?¡¿—…"«»“”()]/;
+const STRESS_AND_LENGTH_MARKS = "ˈˌː";
+
+/**
+ * Map one phoneme token to a viseme.
+ * @param {string} phoneme A single phoneme character, as tokenized by Kokoro
+ * @returns {keyof typeof VISEME_SHAPES|null} null when the previous shape should be held
+ *   (stress and length marks, word gaps)
+ */
+export function phonemeToViseme(phoneme) {
+  if (PHONEME_VISEMES[phoneme]) return PHONEME_VISEMES[phoneme];
+  if (PAUSE_PATTERN.test(phoneme)) return "closed";
+  // Stress and length marks are modifier letters, so rule them out before the catch-all
+  if (STRESS_AND_LENGTH_MARKS.includes(phoneme)) return null;
+  // Remaining consonants (t, d, s, n, k, ...) keep the teeth together
+  if (/\p{L}/u.test(phoneme)) return "I";
+  return null;
+}
+
+/**
+ * Build a viseme track from timed phoneme tokens, as returned by
+ * `KokoroTTS.generate(text, { return_timestamps: true })`.
+ * @param {{text: string, start: number, end: number}[]} tokens
+ * @returns {{time: number, viseme: keyof typeof VISEME_SHAPES}[]} Viseme changes, in seconds from the chunk start
+ */
+export function buildVisemeTrack(tokens) {
+  const track = [{ time: 0, viseme: "closed" }];
+  for (const { text, start } of tokens) {
+    const viseme = phonemeToViseme(text);
+    if (viseme && track[track.length - 1].viseme !== viseme) {
+      track.push({ time: start, viseme });
+    }
+  }
+  if (tokens.length > 0) {
+    track.push({ time: tokens[tokens.length - 1].end, viseme: "closed" });
+  }
+  return track;
+}
@@ -205,19 +205,96 @@ export const VOICES = Object.freeze({
   },
 });
 
-const VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices";
+const DEFAULT_VOICE_DATA_URL = "https://huggingface.co/onnx-community/Kokoro-82M-v1.0-ONNX/resolve/main/voices";
+
+// Cache Storage bucket for downloaded voice files, keyed by their URL
+export const VOICE_CACHE_NAME = "kokoro-voices";
+// Imported voices cannot be downloaded again, so they live apart from the voice cache
+export const CUSTOM_VOICE_CACHE_NAME = "kokoro-custom-voices";
+
+let customVoices = {};
+
+/**
+ * Make imported voices usable next to `VOICES`, in `KokoroTTS.generate` and in blends.
+ * Their style tables are read from `CUSTOM_VOICE_CACHE_NAME`.
+ * @param {Object<string, {name: string, language: string, gender: string}>} voices Keyed by voice id
+ */
+export function setCustomVoices(voices) {
+  customVoices = { ...voices };
+  VOICE_CACHE.clear();
+}
+
+export function getCustomVoices() {
+  return customVoices;
+}
+
+/**
+ * Check whether a voice id is built in or a registered custom voice.
+ * @param {string} id
+ * @returns {boolean}
+ */
+export function hasVoice(id) {
+  return VOICES.hasOwnProperty(id) || customVoices.hasOwnProperty(id);
+}
+
+/**
+ * The key an imported voice's style table is cached under.
+ * @param {string} id
+ * @returns {string}
+ */
+export function getCustomVoiceUrl(id) {
+  // Cache keys must be http(s) URLs; the page and the worker share an origin
+  return `${globalThis.location?.origin ?? "http://localhost"}/custom-voices/${id}.bin`;
+}
+
+let voiceDataUrl = DEFAULT_VOICE_DATA_URL;
+let voiceFileLoader = null;
+
+/**
+ * Fetch voice files from another folder, e.g. a local copy for offline use.
+ * @param {string|null} url Folder URL holding `<voice>.bin` files; null restores the default
+ */
+export function setVoiceDataUrl(url) {
+  voiceDataUrl = url ? url.replace(/\/+$/, "") : DEFAULT_VOICE_DATA_URL;
+  VOICE_CACHE.clear();
+}
+
+/**
+ * Load voice files with a custom function instead of fetching them, e.g. from disk in Node.
+ * @param {((id: string) => Promise<ArrayBufferLike>)|null} loader
+ */
+export function setVoiceFileLoader(loader) {
+  voiceFileLoader = loader;
+  VOICE_CACHE.clear();
+}
+
+/**
+ * Where a voice file is downloaded from, and its key in the voice cache.
+ * @param {string} id
+ * @returns {string}
+ */
+export function getVoiceFileUrl(id) {
+  return `${voiceDataUrl}/${id}.bin`;
+}
 
 /**
- *
+ * Load a voice file from the cache, downloading and caching it first if needed.
  * @param {keyof typeof VOICES} id
  * @returns {Promise<ArrayBufferLike>}
  */
-async function getVoiceFile(id) {
-  const url = `${VOICE_DATA_URL}/${id}.bin`;
+export async function getVoiceFile(id) {
+  if (voiceFileLoader) {
+    return voiceFileLoader(id);
+  }
+  if (customVoices.hasOwnProperty(id)) {
+    return getCustomVoiceFile(id);
+  }
+
+  const url = getVoiceFileUrl(id);
 
   let cache;
   try {
-    cache = await caches.open("kokoro-voices");
+    cache = await caches.open(VOICE_CACHE_NAME);
     const cachedResponse = await cache.match(url);
     if (cachedResponse) {
       return await cachedResponse.arrayBuffer();
@@ -227,7 +304,16 @@ async function getVoiceFile(id) {
   }
 
   // No cache, or cache failed to open. Fetch the file.
-  const response = await fetch(url);
+  let response;
+  try {
+    response = await fetch(url);
+  } catch (e) {
+    throw new Error(`Unable to download voice "${id}" from ${url}: ${e.message}`);
+  }
+  // Dev servers answer missing files with the app's index.html
+  if (!response.ok || response.headers.get("content-type")?.includes("text/html")) {
+    throw new Error(`Voice file not found: ${url} (HTTP ${response.status})`);
+  }
   const buffer = await response.arrayBuffer();
 
   if (cache) {
@@ -247,13 +333,91 @@ async function getVoiceFile(id) {
   return buffer;
 }
 
+async function getCustomVoiceFile(id) {
+  const cache = await caches.open(CUSTOM_VOICE_CACHE_NAME);
+  const response = await cache.match(getCustomVoiceUrl(id));
+  if (!response) {
+    throw new Error(`Custom voice "${id}" has no style data; import its .bin file again`);
+  }
+  return response.arrayBuffer();
+}
+
+/**
+ * Check whether a voice id is a blend spec such as `af_bella:0.6,bm_george:0.4`.
+ * @param {string} voice
+ * @returns {boolean}
+ */
+export function isVoiceBlend(voice) {
+  return typeof voice === "string" && /[:,]/.test(voice);
+}
+
+/**
+ * Parse a blend spec into its component voices with weights normalized to sum to 1.
+ * Components without an explicit weight count as 1.
+ * @param {string} spec e.g. `af_bella:0.6,bm_george:0.4`
+ * @returns {{voice: keyof typeof VOICES, weight: number}[]} Components, heaviest first
+ */
+export function parseVoiceBlend(spec) {
+  const components = spec
+    .split(",")
+    .map((part) => part.trim())
+    .filter(Boolean)
+    .map((part) => {
+      const [voice, weightText] = part.split(":").map((p) => p.trim());
+      const weight = weightText === undefined ? 1 : Number(weightText);
+      if (!hasVoice(voice)) {
+        throw new Error(`Voice "${voice}" in blend "${spec}" not found.`);
+      }
+      if (!Number.isFinite(weight) || weight < 0) {
+        throw new Error(`Invalid weight "${weightText}" for voice "${voice}" in blend "${spec}".`);
+      }
+      return { voice, weight };
+    });
+
+  const total = components.reduce((sum, c) => sum + c.weight, 0);
+  if (components.length === 0 || total <= 0) {
+    throw new Error(`Voice blend "${spec}" has no weighted voices.`);
+  }
+
+  return components
+    .map(({ voice, weight }) => ({ voice, weight: weight / total }))
+    .sort((a, b) => b.weight - a.weight);
+}
+
+/**
+ * Get the phonemizer language ("a" or "b") for a voice or blend.
+ * Blends use the language of their heaviest component.
+ * @param {string} voice
+ * @returns {string}
+ */
+export function getVoiceLanguage(voice) {
+  const id = isVoiceBlend(voice) ? parseVoiceBlend(voice)[0].voice : voice;
+  return id.at(0);
+}
+
 const VOICE_CACHE = new Map();
 export async function getVoiceData(voice) {
   if (VOICE_CACHE.has(voice)) {
     return VOICE_CACHE.get(voice);
   }
 
-  const buffer = new Float32Array(await getVoiceFile(voice));
+  const buffer = isVoiceBlend(voice)
+    ? await getBlendedVoiceData(parseVoiceBlend(voice))
+    : new Float32Array(await getVoiceFile(voice));
   VOICE_CACHE.set(voice, buffer);
   return buffer;
 }
+
+async function getBlendedVoiceData(components) {
+  const tables = await Promise.all(components.map(({ voice }) => getVoiceData(voice)));
+  const length = Math.min(...tables.map((table) => table.length));
+
+  const blended = new Float32Array(length);
+  components.forEach(({ weight }, i) => {
+    const table = tables[i];
+    for (let j = 0; j < length; j++) {
+      blended[j] += table[j] * weight;
+    }
+  });
+  return blended;
+}
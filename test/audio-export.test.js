@@ -0,0 +1,123 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { concatAudio, encodeWav, tagRecording } from "../src/audio-export.js";
+
+const encoder = new TextEncoder();
+
+test("concatAudio joins chunks in order", () => {
+  const joined = concatAudio([new Float32Array([1, 2]), new Float32Array([]), new Float32Array([3])]);
+  assert.deepEqual([...joined], [1, 2, 3]);
+});
+
+test("encodeWav writes 16-bit mono PCM with a LIST/INFO chunk", async () => {
+  const blob = encodeWav(new Float32Array([0, 1, -1, 2]), 24000, { text: "Hi", voice: "af_bella", speed: 1 });
+  const bytes = new Uint8Array(await blob.arrayBuffer());
+  const view = new DataView(bytes.buffer);
+  const ascii = (offset, length) => String.fromCharCode(...bytes.subarray(offset, offset + length));
+
+  assert.equal(ascii(0, 4), "RIFF");
+  assert.equal(view.getUint32(4, true), bytes.length - 8);
+  assert.equal(ascii(8, 4), "WAVE");
+  assert.equal(view.getUint32(24, true), 24000);
+  assert.equal(view.getUint32(40, true), 8);
+  // Clipped to the 16-bit range
+  assert.deepEqual([0, 1, 2, 3].map((i) => view.getInt16(44 + i * 2, true)), [0, 32767, -32767, 32767]);
+  assert.equal(ascii(52, 4), "LIST");
+  assert.equal(ascii(60, 4), "INFO");
+  assert.equal(ascii(64, 4), "INAM");
+});
+
+// --- Minimal Ogg Opus files, as MediaRecorder would write them ---
+
+function oggPage(data, sequence) {
+  const lacing = [];
+  let remaining = data.length;
+  while (remaining >= 255) {
+    lacing.push(255);
+    remaining -= 255;
+  }
+  lacing.push(remaining);
+  const page = new Uint8Array(27 + lacing.length + data.length);
+  page.set(encoder.encode("OggS"), 0);
+  page[18] = sequence;
+  page[26] = lacing.length;
+  page.set(lacing, 27);
+  page.set(data, 27 + lacing.length);
+  return page;
+}
+
+function opusFile() {
+  const tags = new Uint8Array([...encoder.encode("OpusTags"), 3, 0, 0, 0, ...encoder.encode("rec"), 0, 0, 0, 0]);
+  const pages = [oggPage(encoder.encode("OpusHead-fake"), 0), oggPage(tags, 1), oggPage(new Uint8Array(40), 2)];
+  return { bytes: new Uint8Array(pages.flatMap((page) => [...page])), tagsOffset: pages[0].length };
+}
+
+function readPage(bytes, offset) {
+  const segments = bytes[offset + 26];
+  const lacing = bytes.subarray(offset + 27, offset + 27 + segments);
+  const length = lacing.reduce((sum, value) => sum + value, 0);
+  const start = offset + 27 + segments;
+  return { segments, lacing, data: bytes.subarray(start, start + length), end: start + length };
+}
+
+function readComments(data) {
+  const view = new DataView(data.buffer, data.byteOffset, data.byteLength);
+  const decoder = new TextDecoder("utf-8", { fatal: true });
+  let offset = 8;
+  offset += 4 + view.getUint32(offset, true); // Vendor
+  const count = view.getUint32(offset, true);
+  offset += 4;
+  const comments = [];
+  for (let i = 0; i < count; i++) {
+    const length = view.getUint32(offset, true);
+    comments.push(decoder.decode(data.subarray(offset + 4, offset + 4 + length)));
+    offset += 4 + length;
+  }
+  assert.equal(offset, data.length, "comment lengths add up to the packet");
+  return comments;
+}
+
+function oggCRC(page) {
+  const copy = page.slice();
+  copy.fill(0, 22, 26);
+  let crc = 0;
+  for (const byte of copy) {
+    crc ^= byte << 24;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x80000000 ? (crc << 1) ^ 0x04c11db7 : crc << 1;
+    }
+  }
+  return crc >>> 0;
+}
+
+test("tagRecording writes Vorbis comments into the OpusTags page", () => {
+  const { bytes, tagsOffset } = opusFile();
+  const tagged = tagRecording(bytes, "ogg", { text: "Hello", voice: "af_bella", speed: 1.2, software: "test" });
+
+  const page = readPage(tagged, tagsOffset);
+  assert.deepEqual(readComments(page.data), ["TITLE=Hello", "VOICE=af_bella", "SPEED=1.2", "ENCODER=test"]);
+  const pageBytes = tagged.subarray(tagsOffset, page.end);
+  assert.equal(new DataView(pageBytes.buffer, pageBytes.byteOffset).getUint32(22, true), oggCRC(pageBytes));
+  // The audio page after it is untouched
+  assert.equal(String.fromCharCode(...tagged.subarray(page.end, page.end + 4)), "OggS");
+  assert.equal(tagged.length - page.end, bytes.length - readPage(bytes, tagsOffset).end);
+});
+
+test("tagRecording cuts long multibyte text to fit one Ogg page", () => {
+  const { bytes, tagsOffset } = opusFile();
+  const text = "你好😀".repeat(20000); // Far more than one page in UTF-8
+  const tagged = tagRecording(bytes, "ogg", { text, voice: "af_bella" });
+
+  const page = readPage(tagged, tagsOffset);
+  assert.ok(page.segments <= 255);
+  assert.ok(page.lacing.at(-1) < 255, "the packet ends on this page");
+  const [title, voice] = readComments(page.data); // Throws if a character was split
+  assert.ok(title.length > 1000 && text.startsWith(title.slice("TITLE=".length)));
+  assert.equal(voice, "VOICE=af_bella");
+});
+
+test("tagRecording leaves files it does not understand alone", () => {
+  const bytes = encoder.encode("not an ogg file");
+  assert.equal(tagRecording(bytes, "ogg", { text: "Hi" }), bytes);
+});
@@ -0,0 +1,47 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildCaptionCues, formatTimestamp, timeSentences, toSRT, toWebVTT } from "../src/captions.js";
+
+test("timeSentences does not break captions after abbreviations", () => {
+  const sentences = timeSentences({ text: "Dr. Smith lives in the U.S. now. He left e.g. yesterday!", start: 0, end: 4 });
+  assert.deepEqual(
+    sentences.map((sentence) => sentence.text),
+    ["Dr. Smith lives in the U.S. now.", "He left e.g. yesterday!"]
+  );
+  assert.equal(sentences[0].start, 0);
+  assert.equal(sentences[1].end, 4);
+  assert.equal(sentences[0].end, sentences[1].start);
+});
+
+test("timeSentences uses worker word timings when they line up", () => {
+  const words = [
+    { text: "Hi", start: 0.1, end: 0.4 },
+    { text: "there.", start: 0.4, end: 0.9 },
+    { text: "Bye.", start: 1.5, end: 1.9 },
+  ];
+  const [first, second] = timeSentences({ text: "Hi there. Bye.", start: 0, end: 2, words });
+  assert.deepEqual([first.start, first.end], [0, 0.9]);
+  assert.deepEqual([second.start, second.end], [1.5, 2]);
+  assert.deepEqual(second.words, [words[2]]);
+});
+
+test("buildCaptionCues skips silence and splits per sentence on request", () => {
+  const segments = [
+    { text: "One. Two.", start: 0, end: 2 },
+    { text: "", start: 2, end: 3 },
+    { text: "Three.", start: 3, end: 4 },
+  ];
+  assert.equal(buildCaptionCues(segments).length, 2);
+  assert.deepEqual(
+    buildCaptionCues(segments, { perSentence: true }).map((cue) => cue.text),
+    ["One.", "Two.", "Three."]
+  );
+});
+
+test("caption files use the right timestamp formats", () => {
+  assert.equal(formatTimestamp(3723.4567, ","), "01:02:03,457");
+  const cues = [{ start: 0, end: 1.5, text: "a --> b" }];
+  assert.equal(toSRT(cues), "1\n00:00:00,000 --> 00:00:01,500\na --> b\n");
+  assert.equal(toWebVTT(cues), "WEBVTT\n\n00:00:00.000 --> 00:00:01.500\na -> b\n");
+});
@@ -0,0 +1,48 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { splitSentences, splitTextByTokens, splitTextSmart } from "../src/semantic-split.js";
+
+test("splitSentences skips abbreviations, initials and decimals", () => {
+  assert.deepEqual(splitSentences("Dr. Smith moved to the U.S. in 2020. Pi is 3.14, e.g. roughly. J. R. R. Tolkien wrote it."), [
+    "Dr. Smith moved to the U.S. in 2020.",
+    "Pi is 3.14, e.g. roughly.",
+    "J. R. R. Tolkien wrote it.",
+  ]);
+});
+
+test("splitSentences ends sentences on words that double as abbreviations", () => {
+  assert.deepEqual(splitSentences("The answer is no. We leave at dawn."), ["The answer is no.", "We leave at dawn."]);
+  assert.deepEqual(splitSentences("So do I. Then we left."), ["So do I.", "Then we left."]);
+  assert.deepEqual(splitSentences("Ask for No. 5 at Acme Co. today. Thanks."), ["Ask for No. 5 at Acme Co. today.", "Thanks."]);
+});
+
+test("splitSentences handles ellipses, quotes and CJK punctuation", () => {
+  assert.deepEqual(splitSentences("So... anyway. I... I think so!"), ["So... anyway.", "I...", "I think so!"]);
+  assert.deepEqual(splitSentences('"Stop!" she said. "Why?" He left.'), ['"Stop!" she said.', '"Why?"', "He left."]);
+  assert.deepEqual(splitSentences("你好。今天好吗？好！"), ["你好。", "今天好吗？", "好！"]);
+});
+
+test("splitTextSmart keeps chunks under the limit and splits paragraphs", () => {
+  const text = "First sentence here. Second sentence is a bit longer.\n\nNew paragraph.";
+  assert.deepEqual(splitTextSmart(text, 40), ["First sentence here.", "Second sentence is a bit longer.", "New paragraph."]);
+
+  const long = "word ".repeat(100).trim();
+  for (const chunk of splitTextSmart(long, 50)) assert.ok(chunk.length <= 50);
+});
+
+test("splitTextSmart cuts a short first chunk at a sentence end", () => {
+  const text = "Hello there. " + "This second sentence goes on for quite a while longer than the first. ".repeat(3);
+  const [first, ...rest] = splitTextSmart(text, 500, { firstChunkLength: 40 });
+  assert.equal(first, "Hello there.");
+  assert.ok(rest.length > 0);
+});
+
+test("splitTextByTokens splits until every chunk fits the token budget", async () => {
+  const text = "one two three four five six seven eight nine ten eleven twelve";
+  const countTokens = async (chunk) => chunk.length; // One token per character
+  const chunks = await splitTextByTokens(text, { maxTokens: 20, countTokens });
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) assert.ok(chunk.length <= 20, chunk);
+  assert.equal(chunks.join(" "), text);
+});
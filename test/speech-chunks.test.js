@@ -0,0 +1,45 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { buildSpeechChunks } from "../src/speech-chunks.js";
+
+// Rough stand-in for the phonemizer: digits and acronym letters are read out as whole words
+async function countTokens(text) {
+  let tokens = 0;
+  for (const char of text) {
+    if (/\d/.test(char)) tokens += 6; // "seven" plus a word gap
+    else if (/[A-Z]/.test(char)) tokens += 3; // "N" -> "ɛn"
+    else tokens += 1;
+  }
+  return tokens;
+}
+
+test("buildSpeechChunks never returns a chunk over the token budget", async () => {
+  const text =
+    "The NASA, ESA and JAXA budgets were 24838000000, 7790000000 and 1560000000 in 2023. " +
+    "Call 18005550199 or 442079460000 and ask for the API SDK docs, version 10293847. " +
+    "Plain words fit easily and stay together in one chunk as long as they can.";
+  const maxTokens = 100; // Every number fits on its own, no sentence does
+  const chunks = await buildSpeechChunks(text, { voice: "af_nicole", maxChunkLength: 300, maxTokens, countTokens });
+
+  assert.ok(chunks.length > 3);
+  for (const chunk of chunks) {
+    assert.ok((await countTokens(chunk.text)) <= maxTokens, `"${chunk.text}" is over ${maxTokens} tokens`);
+  }
+  // No words are lost; clause splits drop the comma they cut at
+  const words = (value) => value.replace(/,/g, "").split(/\s+/).filter(Boolean);
+  assert.deepEqual(words(chunks.map((chunk) => chunk.text).join(" ")), words(text));
+});
+
+test("buildSpeechChunks passes each SSML segment's voice to countTokens", async () => {
+  const seen = new Set();
+  await buildSpeechChunks('<speak>Hello <voice name="bm_george">there</voice></speak>', {
+    voice: "af_nicole",
+    maxTokens: 100,
+    countTokens: async (text, voice) => {
+      seen.add(voice);
+      return text.length;
+    },
+  });
+  assert.deepEqual([...seen].sort(), ["af_nicole", "bm_george"]);
+});
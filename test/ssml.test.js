@@ -0,0 +1,94 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { isSSML, numberToWords, parseRate, parseSSML } from "../src/ssml.js";
+
+const defaults = { voice: "af_nicole", speed: 1 };
+
+test("isSSML only reacts to supported tags", () => {
+  assert.equal(isSSML("<speak>Hi</speak>"), true);
+  assert.equal(isSSML('Wait <break time="1s"/> now'), true);
+  assert.equal(isSSML("1 < 2 and <b>bold</b>"), false);
+});
+
+test("breaks become silence and adjacent breaks add up", () => {
+  assert.deepEqual(parseSSML('<speak>One<break time="500ms"/><break time="1s"/>two</speak>', defaults), [
+    { type: "text", text: "One", voice: "af_nicole", speed: 1 },
+    { type: "break", duration: 1.5 },
+    { type: "text", text: "two", voice: "af_nicole", speed: 1 },
+  ]);
+});
+
+test("voice and prosody apply to their content only", () => {
+  const segments = parseSSML(
+    '<speak>Hi <voice name="bm_george">there <prosody rate="slow">friend</prosody></voice> again</speak>',
+    defaults
+  );
+  assert.deepEqual(
+    segments.map(({ text, voice, speed }) => [text, voice, speed]),
+    [
+      ["Hi", "af_nicole", 1],
+      ["there", "bm_george", 1],
+      ["friend", "bm_george", 0.8],
+      ["again", "af_nicole", 1],
+    ]
+  );
+});
+
+test("text in tags nested inside say-as is read with it", () => {
+  const [segment] = parseSSML(
+    '<speak>I have <say-as interpret-as="cardinal">12<prosody rate="slow">34</prosody></say-as> apples.</speak>',
+    defaults
+  );
+  assert.equal(segment.text, "I have one thousand two hundred thirty-four apples.");
+});
+
+test("grouping tags and paragraphs inside say-as keep their order", () => {
+  const text = (ssml) => parseSSML(ssml, defaults).map((segment) => segment.text);
+  assert.deepEqual(text('<speak>I have <say-as interpret-as="cardinal">12<s>34</s></say-as> apples.</speak>'), [
+    "I have one thousand two hundred thirty-four apples.",
+  ]);
+  assert.deepEqual(text('<speak>Read <say-as interpret-as="characters">ab<p/>cd</say-as> now</speak>'), [
+    "Read a b c d now",
+  ]);
+});
+
+test("punctuation after a closing tag joins the previous segment", () => {
+  const segments = parseSSML('<speak><voice name="bm_george">Hello there</voice>. And you?</speak>', defaults);
+  assert.deepEqual(
+    segments.map(({ text, voice }) => [text, voice]),
+    [
+      ["Hello there.", "bm_george"],
+      ["And you?", "af_nicole"],
+    ]
+  );
+
+  const fast = parseSSML('<speak><prosody rate="fast">Done</prosody>!</speak>', defaults);
+  assert.deepEqual(fast, [{ type: "text", text: "Done!", voice: "af_nicole", speed: 1.25 }]);
+});
+
+test("say-as reads characters, numbers and dates", () => {
+  const text = (ssml) => parseSSML(ssml, defaults)[0].text;
+  assert.equal(text('<say-as interpret-as="characters">abc</say-as>'), "a b c");
+  assert.equal(text('<say-as interpret-as="cardinal">1,005</say-as>'), "one thousand five");
+  assert.equal(text('<say-as interpret-as="date">2024-03-15</say-as>'), "March 15th, 2024");
+  assert.equal(text('<say-as interpret-as="date" format="dmy">1/2/2023</say-as>'), "February 1st, 2023");
+});
+
+test("sub replaces its content with the alias", () => {
+  assert.equal(parseSSML('<speak><sub alias="World Wide Web">WWW</sub></speak>', defaults)[0].text, "World Wide Web");
+});
+
+test("parseRate handles keywords, percentages and multipliers within limits", () => {
+  assert.equal(parseRate("x-fast"), 1.5);
+  assert.equal(parseRate("+20%", 1), 1.2);
+  assert.equal(parseRate("50%", 1.5), 0.75);
+  assert.equal(parseRate("1.5", 1.5), 2);
+  assert.equal(parseRate("10%"), 0.5);
+});
+
+test("numberToWords", () => {
+  assert.equal(numberToWords(0), "zero");
+  assert.equal(numberToWords(-42), "minus forty-two");
+  assert.equal(numberToWords(1200000), "one million two hundred thousand");
+});
@@ -0,0 +1,38 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+import { PROTOCOL_VERSION, createEvent, createRequest, validateEvent, validateRequest } from "../src/tts-protocol.js";
+
+test("createRequest stamps the protocol version", () => {
+  assert.deepEqual(createRequest("cancel", { id: 3 }), { v: PROTOCOL_VERSION, type: "cancel", id: 3 });
+});
+
+test("createRequest and createEvent throw on messages that break the schema", () => {
+  assert.throws(() => createRequest("generate", { id: 1 })); // No text
+  assert.throws(() => createRequest("nope"));
+  assert.throws(() => createEvent("complete", { id: null }));
+});
+
+test("validateRequest accepts optional fields and reports problems", () => {
+  assert.equal(validateRequest({ v: PROTOCOL_VERSION, type: "generate", id: "a", text: "Hi" }), null);
+  assert.equal(validateRequest({ v: PROTOCOL_VERSION, type: "load" }), null);
+  assert.equal(typeof validateRequest({ v: PROTOCOL_VERSION, type: "generate", id: 1, text: 5 }), "string");
+  assert.equal(typeof validateRequest({ v: PROTOCOL_VERSION + 1, type: "stop" }), "string");
+  assert.equal(typeof validateRequest(null), "string");
+});
+
+test("validateEvent checks array buffers and optional ids", () => {
+  const audio = {
+    v: PROTOCOL_VERSION,
+    status: "stream_audio_data",
+    id: 1,
+    audio: new ArrayBuffer(4),
+    text: "Hi",
+    visemes: [],
+    words: [],
+    timing: "model",
+  };
+  assert.equal(validateEvent(audio), null);
+  assert.equal(typeof validateEvent({ ...audio, audio: [0, 0] }), "string");
+  assert.equal(validateEvent({ v: PROTOCOL_VERSION, status: "error", error: "Boom" }), null);
+});